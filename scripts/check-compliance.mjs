@@ -0,0 +1,60 @@
+// Runs the lit-hours rule of the sign-code check on a few schedules
+// against a zone with curfew hours, including the edge cases: a schedule
+// past midnight and one with equal start and end (lit around the clock).
+// Exits non-zero on a wrong verdict.
+//   npm run check-compliance
+
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+// [lit from, lit to, expected status] for a zone allowing 06:00–23:00
+const CASES = [
+  ['17:00', '23:00', 'pass'],
+  ['06:00', '23:00', 'pass'],
+  ['17:00', '23:30', 'fail'],
+  ['22:00', '02:00', 'fail'],
+  ['00:00', '00:00', 'fail'],
+  ['18:00', '18:00', 'fail'],
+];
+
+const vite = await createServer({
+  root: ROOT,
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  optimizeDeps: { noDiscovery: true, entries: [] },
+});
+let failures = 0;
+try {
+  const { evaluateCompliance } = await vite.ssrLoadModule('/src/compliance.js');
+  const rules = {
+    zones: [
+      {
+        id: 'test',
+        label: 'Test zone',
+        illumination: ['front', 'halo'],
+        illuminationHours: { from: '06:00', to: '23:00' },
+      },
+    ],
+  };
+  for (const [from, to, want] of CASES) {
+    const hours = evaluateCompliance(
+      { style: 'front', litHours: { from, to } },
+      'test',
+      rules
+    ).find((r) => r.id === 'hours');
+    const ok = hours?.status === want;
+    if (!ok) failures++;
+    console.log(
+      `${ok ? 'ok  ' : 'FAIL'} lit ${from}–${to}: ${hours?.status} (want ${want})`
+    );
+  }
+} finally {
+  await vite.close();
+}
+if (failures) {
+  console.error(`${failures} wrong verdict(s)`);
+  process.exit(1);
+}
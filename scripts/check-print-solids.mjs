@@ -0,0 +1,142 @@
+// Builds the solid and hollow 3D-print parts of every letter and digit of
+// the bundled fonts at a few print sizes and checks that each one is
+// closed: once equal positions are welded, every edge must be shared by
+// exactly two triangles running in opposite directions. Glyphs whose
+// outline crosses itself in the font data can't be closed without a
+// boolean union and are listed separately. Exits non-zero on an open part.
+//   npm run check-print
+
+import { readFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), '..');
+const FONTS = [
+  'helvetiker_regular',
+  'helvetiker_bold',
+  'optimer_regular',
+  'optimer_bold',
+  'gentilis_regular',
+  'gentilis_bold',
+  'droid/droid_sans_regular',
+  'droid/droid_sans_bold',
+  'droid/droid_serif_regular',
+  'droid/droid_serif_bold',
+];
+const CHARS =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789&?!@';
+// font sizes on the print bed (mm) and the part depth
+const SIZES_MM = [20, 50, 120];
+const DEPTH_MM = 12;
+
+// edges not shared by exactly one triangle each way (welded at 0.1 µm)
+function openEdges(geom) {
+  const pos = geom.getAttribute('position');
+  const ids = new Map();
+  const id = (i) => {
+    const k = [pos.getX(i), pos.getY(i), pos.getZ(i)]
+      .map((v) => Math.round(v * 1e4))
+      .join(',');
+    if (!ids.has(k)) ids.set(k, ids.size);
+    return ids.get(k);
+  };
+  const edges = new Map();
+  for (let t = 0; t < pos.count; t += 3) {
+    const v = [id(t), id(t + 1), id(t + 2)];
+    if (v[0] === v[1] || v[1] === v[2] || v[0] === v[2]) continue;
+    for (let e = 0; e < 3; e++) {
+      const a = v[e];
+      const b = v[(e + 1) % 3];
+      const k = a < b ? `${a} ${b}` : `${b} ${a}`;
+      const use = edges.get(k) || [0, 0];
+      use[a < b ? 0 : 1]++;
+      edges.set(k, use);
+    }
+  }
+  let open = 0;
+  for (const [up, down] of edges.values()) if (up !== 1 || down !== 1) open++;
+  return open;
+}
+
+function selfCrossing(contours) {
+  const segs = contours.flatMap(({ outer, holes }) =>
+    [outer, ...holes].flatMap((r) =>
+      r.map((p, i) => [p, r[(i + 1) % r.length]])
+    )
+  );
+  const side = (a, b, c) =>
+    (b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x);
+  for (let i = 0; i < segs.length; i++) {
+    for (let j = i + 1; j < segs.length; j++) {
+      const [a, b] = segs[i];
+      const [c, d] = segs[j];
+      if (
+        side(a, b, c) * side(a, b, d) < 0 &&
+        side(c, d, a) * side(c, d, b) < 0
+      )
+        return true;
+    }
+  }
+  return false;
+}
+
+const vite = await createServer({
+  root: ROOT,
+  logLevel: 'error',
+  server: { middlewareMode: true, hmr: false },
+  appType: 'custom',
+  // modules are loaded for SSR only; no browser dependency scan
+  optimizeDeps: { noDiscovery: true, entries: [] },
+});
+let failures = 0;
+try {
+  const { Font } = await vite.ssrLoadModule(
+    'three/examples/jsm/loaders/FontLoader'
+  );
+  const { lineGlyphs } = await vite.ssrLoadModule('/src/glyphs.js');
+  const { buildSolid, PRINT_DEFAULTS } = await vite.ssrLoadModule(
+    '/src/printExport.js'
+  );
+  for (const name of FONTS) {
+    const json = await readFile(
+      join(ROOT, 'node_modules/three/examples/fonts', `${name}.typeface.json`),
+      'utf8'
+    );
+    const font = new Font(JSON.parse(json));
+    const open = [];
+    const crossed = new Set();
+    for (const size of SIZES_MM) {
+      for (const char of CHARS) {
+        const [glyph] = lineGlyphs(font, char, size, 1, { watertight: true });
+        if (!glyph) continue;
+        if (selfCrossing(glyph.contours)) {
+          crossed.add(char);
+          continue;
+        }
+        for (const hollow of [false, true]) {
+          const geom = buildSolid(glyph.contours, DEPTH_MM, {
+            ...PRINT_DEFAULTS,
+            hollow,
+          });
+          const n = openEdges(geom);
+          geom.dispose();
+          if (n)
+            open.push(`${char} ${size} mm${hollow ? ' hollow' : ''} (${n})`);
+        }
+      }
+    }
+    failures += open.length;
+    console.log(`${name}: ${open.length ? open.join(', ') : 'closed'}`);
+    if (crossed.size)
+      console.log(
+        `  outline crosses itself, skipped: ${[...crossed].join('')}`
+      );
+  }
+} finally {
+  await vite.close();
+}
+if (failures) {
+  console.error(`${failures} open part(s)`);
+  process.exit(1);
+}
@@ -0,0 +1,30 @@
+// Downloads the COCO-SSD (lite_mobilenet_v2) weights the occluder detection
+// loads from public/models/coco-ssd/. Run once after cloning:
+//   npm run fetch-models
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const SOURCE =
+  'https://storage.googleapis.com/tfjs-models/savedmodel/ssdlite_mobilenet_v2/';
+const TARGET = join(
+  dirname(fileURLToPath(import.meta.url)),
+  '..',
+  'public/models/coco-ssd'
+);
+
+async function download(name) {
+  const res = await fetch(SOURCE + name);
+  if (!res.ok) throw new Error(`${name}: HTTP ${res.status}`);
+  const data = Buffer.from(await res.arrayBuffer());
+  await writeFile(join(TARGET, name), data);
+  console.log(`  ${name} (${Math.round(data.length / 1024)} kB)`);
+  return data;
+}
+
+await mkdir(TARGET, { recursive: true });
+console.log(`COCO-SSD → ${TARGET}`);
+const manifest = JSON.parse(await download('model.json'));
+for (const group of manifest.weightsManifest ?? [])
+  for (const path of group.paths) await download(path);
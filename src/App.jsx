@@ -19,6 +19,98 @@ import {
   SelectiveBloom,
 } from '@react-three/postprocessing';
 import * as THREE from 'three';
+import {
+  EXPORT_FORMATS,
+  MAX_EXPORT_SIDE,
+  canvasToBlob,
+  compositeLayers,
+  downloadBlob,
+  nextFrames,
+  svgToImage,
+} from './exportImage';
+import {
+  PROJECT_EXT,
+  parseProject,
+  projectFileName,
+  serializeProject,
+} from './projectFile';
+import {
+  AUTOSAVE_INTERVAL_MS,
+  deleteSession,
+  listSessions,
+  newSessionId,
+  pruneSessions,
+  saveSession,
+} from './autosave';
+import {
+  applyHomography,
+  homographyLocalScale,
+  invertHomography,
+  isConvexQuad,
+  solveHomography,
+} from './homography';
+import { solveRectanglePose, tiltFromVanishingPoints } from './cameraPose';
+import { imageDataFromImage, loadImage } from './photoUtils';
+import { applyNightGrade, highlightMask } from './nightGrade';
+import { computeLightSpill } from './lightSpill';
+import { RETOUCH_TOOLS, retouchForSave, retouchPhoto } from './retouch';
+import {
+  boxesOverlap,
+  boxMask,
+  MASK_TOOLS,
+  newMaskId,
+  OCCLUDER_CLASSES,
+  rasterizeMasks,
+} from './occlusion';
+import { evaluateCompliance, SIGN_CODE, ZONES } from './compliance';
+import {
+  buildCutParts,
+  CUT_DEFAULTS,
+  layoutParts,
+  toDXF,
+  toSVG,
+} from './cutFiles';
+import { capHeight, glyphMetrics, lineGlyphs, loadFont } from './glyphs';
+import {
+  formatUtcOffset,
+  localTimeZone,
+  siteTime,
+  sunOnFacade,
+  sunPosition,
+  zoneUtcOffset,
+} from './sunPosition';
+import { exportSignGLB } from './modelExport';
+import { buildProposalPdf, drawElevation, PROPOSAL_FIELDS } from './proposal';
+import {
+  encodeGIF,
+  encodeWebM,
+  SWEEP_DEFAULTS,
+  SWEEP_FORMATS,
+  sweepTimes,
+  webmMimeType,
+} from './sweepExport';
+import {
+  buildPrintMeshes,
+  centered,
+  loadSvgContours,
+  meshesToOBJ,
+  meshesToSTL,
+  PRINT_DEFAULTS,
+  PRINT_SCALES,
+  zipFiles,
+} from './printExport';
+import { bomToCsv, estimateLedBom } from './ledBom';
+import {
+  DEFAULT_PRICING,
+  formatMoney,
+  getRate,
+  loadPricing,
+  PRICING_FIELDS,
+  quoteDesign,
+  savePricing,
+  setRate,
+} from './pricing';
+import { formatLength, fromInches, LENGTH_UNITS, toInches } from './units';
 
 /* ───────────────────────────── Fonts ───────────────────────────── */
 
@@ -48,6 +140,19 @@ const FONT_OPTIONS = {
 /* ───────────────────────────── Utils ───────────────────────────── */
 
 const DEFAULT_TEXT = 'YOUR\nSIGN';
+const CAMERA = { position: [0, 0, 260], fov: 35 };
+const PLANE_W = 120;
+const LETTER_DEPTH = 6; // channel-letter return depth, scene units
+const TODAY = new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+const COMPASS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+const SUN_PHASES = { day: 'Day', dawn: 'Dawn', dusk: 'Dusk', night: 'Night' };
+const TIME_ZONES = Intl.supportedValuesOf?.('timeZone') ?? [];
+const ASSUMED_LETTER_IN = 24; // letter height assumed until calibrated
+const LIGHTING_STYLES = [
+  { key: 'front', label: 'Front-lit' },
+  { key: 'halo', label: 'Reverse Halo' },
+  { key: 'none', label: 'Non-lit' },
+];
 const rad = (d) => THREE.MathUtils.degToRad(d);
 const deg = (r) => THREE.MathUtils.radToDeg(r);
 
@@ -68,15 +173,45 @@ function clampToBounds(pos, b) {
   pos.y = Math.min(b.maxY, Math.max(b.minY, pos.y));
 }
 
+// Bounding box of `obj` in its parent's space. Unlike Box3.setFromObject this
+// ignores sign placement (scale, tilt, perspective fit) above the parent.
+function localBox(obj) {
+  const box = new THREE.Box3();
+  if (!obj) return box;
+  obj.updateWorldMatrix(true, true);
+  const toLocal = obj.parent
+    ? obj.parent.matrixWorld.clone().invert()
+    : new THREE.Matrix4();
+  const m = new THREE.Matrix4();
+  const b = new THREE.Box3();
+  obj.traverse((o) => {
+    if (!o.geometry) return;
+    if (!o.geometry.boundingBox) o.geometry.computeBoundingBox();
+    b.copy(o.geometry.boundingBox).applyMatrix4(
+      m.multiplyMatrices(toLocal, o.matrixWorld)
+    );
+    box.union(b);
+  });
+  return box;
+}
+
 /* ────────────────────────── History (Undo/Redo) ────────────────────────── */
 
 function deepClone(v) {
   return JSON.parse(JSON.stringify(v));
 }
+// Blob-valued fields of `S`: kept out of history snapshots, embedded in saves.
+// `retouchedFile` is the edited working copy of the photo in `file`.
+const FILE_FIELDS = ['file', 'retouchedFile', 'logoFile'];
+
 function snapshotWithoutFiles(S) {
-  const { file, logoFile, ...rest } = S;
+  const rest = { ...S };
+  FILE_FIELDS.forEach((k) => delete rest[k]);
   return deepClone(rest);
 }
+function filesOf(S) {
+  return Object.fromEntries(FILE_FIELDS.map((k) => [k, S[k] ?? null]));
+}
 
 function useHistory(S, setS) {
   const [past, setPast] = useState([]);
@@ -99,8 +234,7 @@ function useHistory(S, setS) {
     skipRef.current = true;
     setS((curr) => ({
       ...deepClone(snap),
-      file: curr.file,
-      logoFile: curr.logoFile,
+      ...filesOf(curr),
     }));
   };
 
@@ -139,7 +273,19 @@ function useHistory(S, setS) {
     return () => window.removeEventListener('keydown', onKey);
   }, [undo, redo]);
 
-  return { undo, redo, canUndo: past.length > 0, canRedo: future.length > 0 };
+  // forget everything, e.g. when another design is loaded
+  const reset = () => {
+    setPast([]);
+    setFuture([]);
+  };
+
+  return {
+    undo,
+    redo,
+    reset,
+    canUndo: past.length > 0,
+    canRedo: future.length > 0,
+  };
 }
 
 /* ───────────────────────── Building Plane ───────────────────────── */
@@ -150,6 +296,8 @@ function BuildingPlane3D({
   tiltX = 0,
   tiltY = 0,
   z = -1,
+  night = 0,
+  mask = null, // alpha map: draw only these photo pixels (occluder pass)
 }) {
   const tex = useTexture(imageURL);
   useEffect(() => {
@@ -158,6 +306,31 @@ function BuildingPlane3D({
     tex.colorSpace = THREE.SRGBColorSpace;
   }, [tex]);
 
+  // night grade: shared uniforms, patched into the basic material's shader
+  const grade = useMemo(
+    () => ({
+      uNight: { value: 0 },
+      uNightMask: { value: null },
+      uHasMask: { value: false },
+    }),
+    []
+  );
+  grade.uNight.value = night;
+  // the photo's own light sources, found once per photo
+  useEffect(() => {
+    if (!tex?.image) return;
+    const mask = new THREE.CanvasTexture(
+      highlightMask(imageDataFromImage(tex.image, 512))
+    );
+    grade.uNightMask.value = mask;
+    grade.uHasMask.value = true;
+    return () => {
+      grade.uHasMask.value = false;
+      grade.uNightMask.value = null;
+      mask.dispose();
+    };
+  }, [tex, grade]);
+
   const [w, h] = useMemo(() => {
     const iw = tex?.image?.width || 1920;
     const ih = tex?.image?.height || 1080;
@@ -169,12 +342,227 @@ function BuildingPlane3D({
     <group position={[0, 0, z]} rotation={[rad(tiltX), rad(tiltY), 0]}>
       <mesh>
         <planeGeometry args={[w, h]} />
-        <meshBasicMaterial map={tex} />
+        <meshBasicMaterial
+          map={tex}
+          alphaMap={mask}
+          transparent={!!mask}
+          onBeforeCompile={(shader) => applyNightGrade(shader, grade)}
+        />
       </mesh>
     </group>
   );
 }
 
+/* ───────────────────────── Sign Placement ───────────────────────── */
+
+// 3×3 homography (sign plane → wall plane) as a projective Matrix4. Depth is
+// scaled by the local scale at the sign centre so returns keep proportion.
+function homographyMatrix4(H) {
+  const dz = homographyLocalScale(H);
+  // prettier-ignore
+  return new THREE.Matrix4().set(
+    H[0], H[1], 0, H[2],
+    H[3], H[4], 0, H[5],
+    0, 0, dz, 0,
+    H[6], H[7], 0, H[8]
+  );
+}
+
+// Shared by every canvas so letters, halo and overlays line up exactly:
+// wall tilt → perspective fit (optional) → sign translate/rotate/scale.
+// With a recovered camera pose the wall is the world z = 0 plane and the
+// camera moves instead, so tilt and warp are skipped.
+function SignPlacement({ S, children }) {
+  const matrix = useMemo(
+    () => (S.signHomography ? homographyMatrix4(S.signHomography) : null),
+    [S.signHomography]
+  );
+  const trs = (
+    <group
+      position={[S.signTX, S.signTY, 0]}
+      rotation={[0, 0, S.signRZ]}
+      scale={[S.signScale, S.signScale, S.signScale]}
+    >
+      {children}
+    </group>
+  );
+  if (S.cameraPose) return trs;
+  return (
+    <group rotation={[rad(S.bldTiltX), rad(S.bldTiltY), 0]}>
+      {matrix ? (
+        <group matrix={matrix} matrixAutoUpdate={false}>
+          {trs}
+        </group>
+      ) : (
+        trs
+      )}
+    </group>
+  );
+}
+
+// Drives the default r3f camera: fixed front view, or the pose solved from
+// the Plane Snap corners.
+function PreviewCamera({ pose }) {
+  const camera = useThree((st) => st.camera);
+  useLayoutEffect(() => {
+    if (pose) {
+      camera.position.fromArray(pose.position);
+      camera.quaternion.fromArray(pose.quaternion);
+      camera.fov = pose.fov;
+      camera.far = pose.backdropDist * 2;
+    } else {
+      camera.position.fromArray(CAMERA.position);
+      camera.quaternion.identity();
+      camera.fov = CAMERA.fov;
+      camera.far = 1000;
+    }
+    camera.updateProjectionMatrix();
+    camera.updateMatrixWorld();
+  }, [camera, pose]);
+  return null;
+}
+
+// The building photo. Under a camera pose it is pinned in front of the
+// camera, covering the same part of the preview as the default plane does.
+function PhotoBackdrop({ S, imageURL, night = 0, mask = null }) {
+  const pose = S.cameraPose;
+  const aspect = S.imgW / S.imgH;
+  const planeW = pose
+    ? 2 * pose.backdropDist * Math.tan(rad(pose.photoFov / 2)) * aspect
+    : PLANE_W;
+  const plane = imageURL ? (
+    <BuildingPlane3D
+      imageURL={imageURL}
+      planeWidth={planeW}
+      tiltX={pose ? 0 : S.bldTiltX}
+      tiltY={pose ? 0 : S.bldTiltY}
+      z={pose ? -pose.backdropDist : -1}
+      night={night}
+      mask={mask}
+    />
+  ) : (
+    <mesh position={[0, 0, pose ? -pose.backdropDist : 0]}>
+      <planeGeometry args={[planeW, planeW / aspect]} />
+      <meshBasicMaterial
+        color={new THREE.Color('#2a2a2a').multiplyScalar(1 - 0.65 * night)}
+      />
+    </mesh>
+  );
+  if (!pose) return plane;
+  return (
+    <group position={pose.position} quaternion={pose.quaternion}>
+      {plane}
+    </group>
+  );
+}
+
+// The sign's light on the wall: the spill lightmap over the photo, blended
+// as dst × (1 + light) so brick and stucco brighten by their own colour
+// rather than washing out.
+function WallLightSpill({ spill, offset = [0, 0], color, intensity }) {
+  const tex = useMemo(() => new THREE.CanvasTexture(spill.canvas), [spill]);
+  useEffect(() => () => tex.dispose(), [tex]);
+  const lightColor = useMemo(
+    () => new THREE.Color(color || '#ffffff').multiplyScalar(intensity),
+    [color, intensity]
+  );
+  const w = spill.max.x - spill.min.x;
+  const h = spill.max.y - spill.min.y;
+  return (
+    <mesh
+      position={[
+        (spill.min.x + spill.max.x) / 2 + offset[0],
+        (spill.min.y + spill.max.y) / 2 + offset[1],
+        0,
+      ]}
+      renderOrder={1}
+    >
+      <planeGeometry args={[w, h]} />
+      <meshBasicMaterial
+        map={tex}
+        color={lightColor}
+        transparent
+        depthTest={false}
+        depthWrite={false}
+        toneMapped={false}
+        blending={THREE.CustomBlending}
+        blendEquation={THREE.AddEquation}
+        blendSrc={THREE.DstColorFactor}
+        blendDst={THREE.OneFactor}
+      />
+    </mesh>
+  );
+}
+
+/* ───────────────────────── Wall shadows ───────────────────────── */
+
+// Shadows of the letters, raceway, panel and extruded logo on the wall: a
+// directional light in the sign's frame (so it turns with the wall) and a
+// ShadowMaterial catcher at the back of the sign, which the transparent
+// foreground canvas lays over the photo. `direction` points towards the
+// light (sign frame, unit length); sizes are sign units, `scale` sign →
+// world.
+function WallShadows({
+  direction,
+  bounds,
+  wallZ,
+  front,
+  scale,
+  softness,
+  opacity,
+}) {
+  const lightRef = useRef();
+  const [target] = useState(() => new THREE.Object3D());
+  const cx = (bounds.min.x + bounds.max.x) / 2;
+  const cy = (bounds.min.y + bounds.max.y) / 2;
+  const r =
+    Math.hypot(bounds.max.x - bounds.min.x, bounds.max.y - bounds.min.y) / 2;
+  // how far the shadow of the sign's front reaches across the wall
+  const throwLen =
+    ((front - wallZ) * Math.hypot(direction.x, direction.y)) /
+    Math.max(0.05, direction.z);
+  const half = r * 1.2 + throwLen;
+  const reach = r * 4 + (front - wallZ);
+
+  useLayoutEffect(() => {
+    const { shadow } = lightRef.current;
+    const cam = shadow.camera;
+    cam.left = -half * scale;
+    cam.right = half * scale;
+    cam.top = half * scale;
+    cam.bottom = -half * scale;
+    cam.near = Math.max(0.01, (reach - 2 * half) * scale);
+    cam.far = (reach + 2 * half) * scale;
+    cam.updateProjectionMatrix();
+    shadow.radius = softness;
+    shadow.blurSamples = 16;
+    shadow.needsUpdate = true;
+  }, [half, reach, scale, softness]);
+
+  return (
+    <>
+      <primitive object={target} position={[cx, cy, wallZ]} />
+      <directionalLight
+        ref={lightRef}
+        position={[
+          cx + direction.x * reach,
+          cy + direction.y * reach,
+          wallZ + direction.z * reach,
+        ]}
+        target={target}
+        intensity={0}
+        castShadow
+        shadow-mapSize={[2048, 2048]}
+        shadow-bias={-0.0005}
+      />
+      <mesh position={[cx, cy, wallZ]} receiveShadow raycast={() => null}>
+        <planeGeometry args={[2 * half, 2 * half]} />
+        <shadowMaterial transparent opacity={opacity} depthWrite={false} />
+      </mesh>
+    </>
+  );
+}
+
 /* ───────────────────────── Logo (always visible) ───────────────────────── */
 
 function LogoGraphic({
@@ -229,8 +617,8 @@ function LogoGraphic({
       }, [url, depth, baseWidth]);
       if (!geom) return null;
       return (
-        <mesh geometry={geom}>
-          <meshBasicMaterial color="#ffffff" />
+        <mesh name="logo" geometry={geom} castShadow>
+          <meshBasicMaterial name="Logo" color="#ffffff" />
         </mesh>
       );
     } else {
@@ -247,9 +635,9 @@ function LogoGraphic({
         return w / h;
       }, [texture]);
       return (
-        <mesh>
+        <mesh name="logo">
           <planeGeometry args={[baseWidth, baseWidth / aspect]} />
-          <meshBasicMaterial map={texture} transparent />
+          <meshBasicMaterial name="Logo" map={texture} transparent />
         </mesh>
       );
     }
@@ -298,6 +686,7 @@ function ChannelLettersAndPanel({
   text,
   fontUrl,
   depth,
+  standoff = 0,
   size,
   faceColor,
   trimColor,
@@ -400,7 +789,7 @@ function ChannelLettersAndPanel({
   useLayoutEffect(() => {
     const grp = textOnlyRef?.current;
     if (!grp) return;
-    const box = new THREE.Box3().setFromObject(grp);
+    const box = localBox(grp);
     const w = Math.max(0.001, box.max.x - box.min.x);
     const h = Math.max(0.001, box.max.y - box.min.y);
     setPanelDims({ w: w + panelPadX * 2, h: h + panelPadY * 2 });
@@ -434,7 +823,11 @@ function ChannelLettersAndPanel({
       <HiddenTextOnly />
 
       {signType === 'pan' && showPanel && (
-        <mesh position={[0, 0, -(panelDepth / 2) - 0.1]}>
+        <mesh
+          name="panel"
+          position={[0, 0, -(panelDepth / 2) - 0.1]}
+          castShadow
+        >
           <boxGeometry
             args={[
               Math.max(panelDims.w, size * 2),
@@ -442,7 +835,7 @@ function ChannelLettersAndPanel({
               panelDepth,
             ]}
           />
-          <meshBasicMaterial color={panelColor} />
+          <meshBasicMaterial name="Panel" color={panelColor} />
         </mesh>
       )}
 
@@ -489,17 +882,22 @@ function ChannelLettersAndPanel({
           <group scale={[widthScale, 1, 1]}>
             {/* Raceway in the same local group as text => stays centered */}
             {showRaceway && perLineRaceway && (
-              <mesh position={[0, racewayYOffsetUnits || 0, racewayZ]}>
+              <mesh
+                name={`raceway-${i + 1}`}
+                position={[0, racewayYOffsetUnits || 0, racewayZ]}
+                castShadow
+              >
                 <boxGeometry
                   args={[rwWidthLocal, rwHeight, Math.max(racewayDepth, 0.5)]}
                 />
-                <meshBasicMaterial color={racewayColor} />
+                <meshBasicMaterial name="Raceway" color={racewayColor} />
               </mesh>
             )}
             
             {showLetters && (
               <Text3D
                 ref={(el) => (textMeshRefs.current[i] = el)}
+                name={`line-${i + 1}`}
                 font={fontUrl}
                 size={size}
                 height={depth}
@@ -509,6 +907,8 @@ function ChannelLettersAndPanel({
                 curveSegments={8}
                 anchorX="center"
                 anchorY="middle"
+                position={[0, 0, standoff]}
+                castShadow
                 onUpdate={(self) => {
                   handleUpdateWidth(i, self);
                   self.geometry?.computeBoundingBox?.();
@@ -522,8 +922,16 @@ function ChannelLettersAndPanel({
                 }}
               >
                 {line}
-                <meshBasicMaterial attach="material-0" color={faceColor} />
-                <meshBasicMaterial attach="material-1" color={trimColor} />
+                <meshBasicMaterial
+                  attach="material-0"
+                  name="Face"
+                  color={faceColor}
+                />
+                <meshBasicMaterial
+                  attach="material-1"
+                  name="Trim"
+                  color={trimColor}
+                />
               </Text3D>
             )}
           </group>
@@ -578,6 +986,7 @@ function HaloOnly({
   bloomRadius,
   haloOffsetX,
   haloOffsetY,
+  standoff = 0,
   linePoses,
 }) {
   // Build halo using the **same** transform nesting as text:
@@ -591,7 +1000,10 @@ function HaloOnly({
   const firstY = ((lines.length - 1) * step) / 2;
 
   const defaultZ = -(depth * 1.15); // small constant offset behind face
-  const haloScaleBase = 1.02 + Math.min(0.5, glowSize); // only controls backplate size
+  // the backplate grows with the standoff (light fans out over the gap) and
+  // shifts with an off-axis light, both in sign units
+  const haloScaleBase = 1.02 + Math.min(0.5, glowSize) + (2 * standoff) / size;
+  const shift = [(haloOffsetX || 0) * standoff, (haloOffsetY || 0) * standoff];
 
   const poseFor = (i, defaultY) => {
     const p = linePoses?.[i] ?? {
@@ -609,57 +1021,59 @@ function HaloOnly({
 
   return (
     <Selection enabled>
-      {lines.map((line, i) => {
-        const defaultY = firstY - i * step;
-        const pose = poseFor(i, defaultY);
-        const widthScale = perLineWidthScale?.[i] ?? 1;
+      <group position={[shift[0], shift[1], 0]}>
+        {lines.map((line, i) => {
+          const defaultY = firstY - i * step;
+          const pose = poseFor(i, defaultY);
+          const widthScale = perLineWidthScale?.[i] ?? 1;
 
-        return (
-          <group
-            key={`halo-${i}`}
-            position={[pose.x, pose.y, 0]}
-            rotation={[0, 0, pose.rot]}
-            scale={[pose.scl, pose.scl, pose.scl]}
-          >
-            <group scale={[widthScale, 1, 1]}>
-              <group
-                position={[0, 0, defaultZ]}
-                scale={[haloScaleBase, haloScaleBase, 1]}
-              >
-                <Text3D
-                  font={fontUrl}
-                  size={size}
-                  height={depth}
-                  bevelEnabled
-                  bevelSize={Math.min(0.02 * size, 2)}
-                  bevelThickness={Math.min(0.02 * depth, 1)}
-                  curveSegments={8}
-                  onUpdate={(self) => {
-                    self.geometry.computeBoundingBox();
-                    const box = self.geometry.boundingBox;
-                    if (box) {
-                      const centerX = (box.max.x + box.min.x) / 2;
-                      const centerY = (box.max.y + box.min.y) / 2;
-                      const centerZ = (box.max.z + box.min.z) / 2;
-                      self.geometry.translate(-centerX, -centerY, -centerZ);
-                    }
-                  }}
+          return (
+            <group
+              key={`halo-${i}`}
+              position={[pose.x, pose.y, 0]}
+              rotation={[0, 0, pose.rot]}
+              scale={[pose.scl, pose.scl, pose.scl]}
+            >
+              <group scale={[widthScale, 1, 1]}>
+                <group
+                  position={[0, 0, defaultZ]}
+                  scale={[haloScaleBase, haloScaleBase, 1]}
                 >
-                  {line}
-                  <meshStandardMaterial
-                    color={haloColor3}
-                    emissive={haloColor3}
-                    emissiveIntensity={haloStrength}
-                    roughness={1}
-                    metalness={0}
-                    toneMapped={false}
-                  />
-                </Text3D>
+                  <Text3D
+                    font={fontUrl}
+                    size={size}
+                    height={depth}
+                    bevelEnabled
+                    bevelSize={Math.min(0.02 * size, 2)}
+                    bevelThickness={Math.min(0.02 * depth, 1)}
+                    curveSegments={8}
+                    onUpdate={(self) => {
+                      self.geometry.computeBoundingBox();
+                      const box = self.geometry.boundingBox;
+                      if (box) {
+                        const centerX = (box.max.x + box.min.x) / 2;
+                        const centerY = (box.max.y + box.min.y) / 2;
+                        const centerZ = (box.max.z + box.min.z) / 2;
+                        self.geometry.translate(-centerX, -centerY, -centerZ);
+                      }
+                    }}
+                  >
+                    {line}
+                    <meshStandardMaterial
+                      color={haloColor3}
+                      emissive={haloColor3}
+                      emissiveIntensity={haloStrength}
+                      roughness={1}
+                      metalness={0}
+                      toneMapped={false}
+                    />
+                  </Text3D>
+                </group>
               </group>
             </group>
-          </group>
-        );
-      })}
+          );
+        })}
+      </group>
 
       <EffectComposer disableNormalPass>
         <SelectiveBloom
@@ -699,61 +1113,12 @@ function orderQuad(points) {
     pts[(start + 3) % 4],
   ];
 }
-function solveAffine(from, to) {
-  const A = [],
-    B = [];
-  for (let i = 0; i < 4; i++) {
-    const { x, y } = from[i];
-    const { x: X, y: Y } = to[i];
-    A.push([x, y, 1, 0, 0, 0]);
-    B.push(X);
-    A.push([0, 0, 0, x, y, 1]);
-    B.push(Y);
-  }
-  const AT = (m) => m[0].map((_, j) => m.map((r) => r[j]));
-  const mul = (m, n) =>
-    m.map((r) => n[0].map((_, j) => r.reduce((s, v, k) => s + v * n[k][j], 0)));
-  const inv = (m) => {
-    const n = m.length,
-      a = m.map((r, i) => [
-        ...r,
-        ...Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)),
-      ]);
-    for (let c = 0; c < n; c++) {
-      let r = c;
-      for (let i = c + 1; i < n; i++)
-        if (Math.abs(a[i][c]) > Math.abs(a[r][c])) r = i;
-      [a[c], a[r]] = [a[r], a[c]];
-      const d = a[c][c] || 1e-9;
-      for (let j = 0; j < 2 * n; j++) a[c][j] /= d;
-      for (let i = 0; i < n; i++)
-        if (i !== c) {
-          const f = a[i][c];
-          for (let j = 0; j < 2 * n; j++) a[i][j] -= f * a[c][j];
-        }
-    }
-    return a.map((r) => r.slice(n));
-  };
-  const ATm = AT(A);
-  const ATAi = inv(mul(ATm, A));
-  const X = mul(
-    ATAi,
-    mul(
-      ATm,
-      B.map((v) => [v])
-    )
-  ).map((r) => r[0]);
-  const [a, b, c, d, e, f] = X;
-  return { a, b, c, d, e, f };
-}
-function decomposeAffineToTRS({ a, b, c, d, e, f }) {
-  const position = new THREE.Vector3(c, f, 0);
-  const sx = Math.hypot(a, d),
-    sy = Math.hypot(b, e);
-  const rotationZ = Math.atan2(d, a);
-  return { position, rotationZ, scale: new THREE.Vector3(sx, sy, 1) };
-}
+const LOUPE_SIZE = 140;
+const LOUPE_ZOOM = 6; // loupe px per photo px at most
 
+// Points are stored normalised to the preview (0…1) so they survive resizes
+// and project reloads. Handles stay draggable after Apply; Shift drags at
+// 1/10 speed for sub-pixel placement.
 function FourPointFitOverlay({
   enabled,
   size,
@@ -761,58 +1126,196 @@ function FourPointFitOverlay({
   points,
   onApply,
   onCancel,
+  photoURL,
+  screenToPhoto,
 }) {
+  const rootRef = useRef(null);
+  const loupeRef = useRef(null);
+  // { index, uv, last: {x,y} }; the dragged corner is committed on release
+  const [drag, setDrag] = useState(null);
+  const [hover, setHover] = useState(null); // preview px
+  const [photo, setPhoto] = useState(null);
+
+  useEffect(() => {
+    if (!photoURL) return setPhoto(null);
+    const img = new Image();
+    img.onload = () => setPhoto(img);
+    img.src = photoURL;
+  }, [photoURL]);
+
+  const px = (p) => ({ x: p.x * size.w, y: p.y * size.h });
+  const shown = (points || []).map((p, i) => (drag?.index === i ? drag.uv : p));
+  if (drag?.index === shown.length) shown.push(drag.uv);
+  const pts = shown.map(px);
+  const focus = drag ? pts[drag.index] : hover;
+  const fx = focus?.x;
+  const fy = focus?.y;
+
+  useEffect(() => {
+    const c = loupeRef.current;
+    if (!c || fx == null) return;
+    const ctx = c.getContext('2d');
+    ctx.fillStyle = '#111';
+    ctx.fillRect(0, 0, LOUPE_SIZE, LOUPE_SIZE);
+    const uv = photo && screenToPhoto?.({ x: fx, y: fy });
+    if (uv) {
+      const span = LOUPE_SIZE / LOUPE_ZOOM;
+      ctx.imageSmoothingEnabled = false;
+      ctx.drawImage(
+        photo,
+        uv.u * photo.naturalWidth - span / 2,
+        uv.v * photo.naturalHeight - span / 2,
+        span,
+        span,
+        0,
+        0,
+        LOUPE_SIZE,
+        LOUPE_SIZE
+      );
+    }
+    ctx.strokeStyle = 'rgba(255,80,80,0.9)';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(LOUPE_SIZE / 2, 0);
+    ctx.lineTo(LOUPE_SIZE / 2, LOUPE_SIZE);
+    ctx.moveTo(0, LOUPE_SIZE / 2);
+    ctx.lineTo(LOUPE_SIZE, LOUPE_SIZE / 2);
+    ctx.stroke();
+  }, [fx, fy, photo, screenToPhoto]);
+
   if (!enabled) return null;
-  const addPoint = (e) => {
-    const rect = e.currentTarget.getBoundingClientRect();
-    onPointsChange(
-      [
-        ...(points || []),
-        { x: e.clientX - rect.left, y: e.clientY - rect.top },
-      ].slice(0, 4)
-    );
+
+  const local = (e) => {
+    const rect = rootRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const clampPt = (p) => ({
+    x: Math.min(size.w, Math.max(0, p.x)),
+    y: Math.min(size.h, Math.max(0, p.y)),
+  });
+  const norm = (p) => ({ x: p.x / size.w, y: p.y / size.h });
+
+  const startDrag = (e, index, uv) => {
+    e.stopPropagation();
+    rootRef.current.setPointerCapture?.(e.pointerId);
+    setDrag({ index, uv, last: local(e) });
+  };
+
+  // a new corner is placed (and can be dragged) before it is committed
+  const onPointerDown = (e) => {
+    if (e.button !== 0 || (points || []).length >= 4) return;
+    startDrag(e, (points || []).length, norm(clampPt(local(e))));
+  };
+
+  const onPointerMove = (e) => {
+    const p = local(e);
+    setHover(p);
+    if (!drag) return;
+    const curr = pts[drag.index];
+    const next = e.shiftKey
+      ? {
+          x: curr.x + (p.x - drag.last.x) * 0.1,
+          y: curr.y + (p.y - drag.last.y) * 0.1,
+        }
+      : p;
+    setDrag({ ...drag, uv: norm(clampPt(next)), last: p });
+  };
+
+  const endDrag = (e, commit = true) => {
+    if (!drag) return;
+    rootRef.current.releasePointerCapture?.(e.pointerId);
+    if (commit) onPointsChange(shown);
+    setDrag(null);
+  };
+
+  const loupePos = focus && {
+    left:
+      focus.x + 24 + LOUPE_SIZE > size.w
+        ? focus.x - 24 - LOUPE_SIZE
+        : focus.x + 24,
+    top:
+      focus.y - 24 - LOUPE_SIZE < 0 ? focus.y + 24 : focus.y - 24 - LOUPE_SIZE,
   };
+
   return (
     <div
-      className="absolute inset-0 z-[6] cursor-crosshair"
-      style={{ width: size.w, height: size.h }}
-      onClick={addPoint}
+      ref={rootRef}
+      className="absolute inset-0 z-[6] cursor-crosshair select-none"
+      style={{ width: size.w, height: size.h, touchAction: 'none' }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={(e) => endDrag(e, false)}
+      onPointerLeave={() => !drag && setHover(null)}
     >
       <div className="absolute inset-0 bg-black/20 pointer-events-none" />
-      <svg
-        className="absolute inset-0 pointer-events-none"
-        width={size.w}
-        height={size.h}
-      >
-        {points.map((p, i) => (
+      <svg className="absolute inset-0" width={size.w} height={size.h}>
+        {pts.length >= 2 && (
+          <polyline
+            points={[...pts, ...(pts.length === 4 ? [pts[0]] : [])]
+              .map((p) => `${p.x},${p.y}`)
+              .join(' ')}
+            fill={pts.length === 4 ? 'rgba(59,130,246,0.12)' : 'none'}
+            stroke="white"
+            strokeWidth="2"
+            className="pointer-events-none"
+          />
+        )}
+        {pts.map((p, i) => (
           <g key={i}>
-            <circle cx={p.x} cy={p.y} r="5" fill="white" />
-            <text x={p.x + 8} y={p.y - 8} fill="white" fontSize="12">
+            <circle
+              cx={p.x}
+              cy={p.y}
+              r="9"
+              fill={
+                drag?.index === i ? 'rgba(59,130,246,0.5)' : 'rgba(0,0,0,0.35)'
+              }
+              stroke="white"
+              strokeWidth="2"
+              className="cursor-move"
+              onPointerDown={(e) => startDrag(e, i, shown[i])}
+            />
+            <circle
+              cx={p.x}
+              cy={p.y}
+              r="1.5"
+              fill="white"
+              className="pointer-events-none"
+            />
+            <text
+              x={p.x + 12}
+              y={p.y - 12}
+              fill="white"
+              fontSize="12"
+              className="pointer-events-none"
+            >
               {i + 1}
             </text>
           </g>
         ))}
-        {points.length >= 2 &&
-          points.map((p, i) => {
-            const q = points[(i + 1) % points.length];
-            return i < points.length - 1 ? (
-              <line
-                key={`l${i}`}
-                x1={p.x}
-                y1={p.y}
-                x2={q.x}
-                y2={q.y}
-                stroke="white"
-                strokeWidth="2"
-              />
-            ) : null;
-          })}
       </svg>
-      <div className="absolute bottom-3 left-1/2 -translate-x-1/2 flex gap-2">
+      {loupePos && (
+        <canvas
+          ref={loupeRef}
+          width={LOUPE_SIZE}
+          height={LOUPE_SIZE}
+          className="absolute rounded-full border-2 border-white shadow-lg pointer-events-none"
+          style={loupePos}
+        />
+      )}
+      <div
+        className="absolute bottom-3 left-1/2 -translate-x-1/2 flex gap-2 items-center"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        <span className="text-xs bg-black/60 rounded px-2 py-1">
+          {pts.length < 4
+            ? `Click corner ${pts.length + 1} of 4`
+            : 'Drag corners to refine (Shift = fine)'}
+        </span>
         <button
           onClick={onApply}
           className="px-3 py-2 rounded bg-blue-600 text-white shadow"
-          disabled={points.length !== 4}
+          disabled={pts.length !== 4}
         >
           Apply Fit
         </button>
@@ -827,107 +1330,991 @@ function FourPointFitOverlay({
   );
 }
 
-/* ───────────────────────── Nudge Pad ───────────────────────── */
+/* ───────────────────────── Vanishing Point Review ───────────────────────── */
 
-function NudgePad({ label, onNudge, step, setStep, onCenter }) {
+// Flat view of the photo with the detected line segments: vertical-VP
+// inliers blue, horizontal-VP inliers orange, the rest faint.
+function VanishingPointReview({ result, photoURL, rect, onApply, onCancel }) {
+  if (!result) return null;
+  const vIn = new Set(result.vertical?.inliers || []);
+  const hIn = new Set(result.horizontal?.inliers || []);
+  const { tilt } = result;
   return (
-    <div className="border border-neutral-800 rounded-lg p-3 space-y-2">
-      <div className="text-sm font-medium">{label}</div>
-      <div className="flex gap-2 items-center">
-        <span className="text-xs opacity-70">Step</span>
-        <input
-          type="number"
-          step="0.1"
-          min="0.05"
-          className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-20"
-          value={step}
-          onChange={(e) =>
-            setStep(Math.max(0.05, Number(e.target.value) || 0.05))
-          }
-        />
+    <div className="absolute inset-0 z-[7] bg-black/70">
+      <div
+        className="absolute"
+        style={{ left: rect.x, top: rect.y, width: rect.w, height: rect.h }}
+      >
+        {photoURL && (
+          <img
+            src={photoURL}
+            alt=""
+            className="absolute inset-0 w-full h-full"
+          />
+        )}
+        <svg
+          className="absolute inset-0"
+          width={rect.w}
+          height={rect.h}
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+        >
+          {result.segments.map((sg, i) => (
+            <line
+              key={i}
+              x1={sg.x1}
+              y1={sg.y1}
+              x2={sg.x2}
+              y2={sg.y2}
+              stroke={
+                vIn.has(i)
+                  ? '#3b82f6'
+                  : hIn.has(i)
+                    ? '#f97316'
+                    : 'rgba(255,255,255,0.25)'
+              }
+              strokeWidth={vIn.has(i) || hIn.has(i) ? 2 : 1}
+              vectorEffect="non-scaling-stroke"
+            />
+          ))}
+        </svg>
       </div>
-      <div className="grid grid-cols-3 gap-2 w-[160px]">
-        <div />
+      <div className="absolute bottom-3 left-1/2 -translate-x-1/2 flex gap-2 items-center">
+        <span className="text-xs bg-black/60 rounded px-2 py-1">
+          {result.vertical || result.horizontal
+            ? `Tilt X ${tilt.tiltX.toFixed(0)}°, Tilt Y ${tilt.tiltY.toFixed(
+                0
+              )}°${
+                tilt.focalEstimated ? `, FOV ≈ ${tilt.fovDeg.toFixed(0)}°` : ''
+              }`
+            : 'No dominant facade lines found'}
+        </span>
         <button
-          onClick={() => onNudge(0, step)}
-          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+          onClick={onApply}
+          disabled={!result.vertical && !result.horizontal}
+          className="px-3 py-2 rounded bg-blue-600 text-white shadow"
         >
-          ↑
+          Apply Tilt
         </button>
-        <div />
         <button
-          onClick={() => onNudge(-step, 0)}
-          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+          onClick={onCancel}
+          className="px-3 py-2 rounded bg-neutral-800 border border-neutral-600"
         >
-          ←
+          Cancel
         </button>
-        <button
-          onClick={() => onCenter ? onCenter() : onNudge(0, 0)}
-          className="p-2 rounded bg-neutral-800 border border-neutral-700"
-          title="Center"
+      </div>
+    </div>
+  );
+}
+
+/* ───────────────────────── Scale Calibration ───────────────────────── */
+
+// Drag a line over something of known size on the photo, then enter its
+// real length. Endpoints are normalised to the preview (0…1).
+function CalibrationOverlay({ enabled, size, initialUnit, onApply, onCancel }) {
+  const rootRef = useRef(null);
+  const [line, setLine] = useState(null); // { a, b } in preview px
+  const [drag, setDrag] = useState(null); // 'a' | 'b'
+  const [length, setLength] = useState('');
+  const [unit, setUnit] = useState(initialUnit);
+  const [wasEnabled, setWasEnabled] = useState(enabled);
+
+  // start over each time the tool opens (reset while rendering, so the
+  // first frame already shows the fresh line and unit)
+  if (enabled !== wasEnabled) {
+    setWasEnabled(enabled);
+    if (enabled) {
+      setLine(null);
+      setLength('');
+      setUnit(initialUnit);
+    }
+  }
+
+  if (!enabled) return null;
+
+  const local = (e) => {
+    const rect = rootRef.current.getBoundingClientRect();
+    return {
+      x: Math.min(size.w, Math.max(0, e.clientX - rect.left)),
+      y: Math.min(size.h, Math.max(0, e.clientY - rect.top)),
+    };
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    const p = local(e);
+    rootRef.current.setPointerCapture?.(e.pointerId);
+    const near = (q) => q && Math.hypot(q.x - p.x, q.y - p.y) < 10;
+    if (near(line?.a)) return setDrag('a');
+    if (near(line?.b)) return setDrag('b');
+    setLine({ a: p, b: p });
+    setDrag('b');
+  };
+  const onPointerMove = (e) => {
+    if (drag) setLine({ ...line, [drag]: local(e) });
+  };
+  const endDrag = (e) => {
+    if (!drag) return;
+    rootRef.current.releasePointerCapture?.(e.pointerId);
+    setDrag(null);
+  };
+
+  const value = Number(length);
+  const ready =
+    line &&
+    Math.hypot(line.b.x - line.a.x, line.b.y - line.a.y) > 8 &&
+    value > 0;
+  const apply = () =>
+    onApply({
+      a: { x: line.a.x / size.w, y: line.a.y / size.h },
+      b: { x: line.b.x / size.w, y: line.b.y / size.h },
+      length: value,
+      unit,
+    });
+
+  return (
+    <div
+      ref={rootRef}
+      className="absolute inset-0 z-[6] cursor-crosshair select-none"
+      style={{ width: size.w, height: size.h, touchAction: 'none' }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      <div className="absolute inset-0 bg-black/20 pointer-events-none" />
+      {line && (
+        <svg className="absolute inset-0" width={size.w} height={size.h}>
+          <line
+            x1={line.a.x}
+            y1={line.a.y}
+            x2={line.b.x}
+            y2={line.b.y}
+            stroke="#facc15"
+            strokeWidth="2"
+          />
+          {[line.a, line.b].map((p, i) => (
+            <circle
+              key={i}
+              cx={p.x}
+              cy={p.y}
+              r="6"
+              fill="rgba(250,204,21,0.3)"
+              stroke="#facc15"
+              strokeWidth="2"
+            />
+          ))}
+        </svg>
+      )}
+      <div
+        className="absolute bottom-3 left-1/2 -translate-x-1/2 flex gap-2 items-center"
+        onPointerDown={(e) => e.stopPropagation()}
+      >
+        <span className="text-xs bg-black/60 rounded px-2 py-1">
+          {line
+            ? 'Real length of the line:'
+            : 'Drag along something of known length'}
+        </span>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={length}
+          onChange={(e) => setLength(e.target.value)}
+          className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-20"
+        />
+        <select
+          value={unit}
+          onChange={(e) => setUnit(e.target.value)}
+          className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
         >
-          •
-        </button>
+          {Object.keys(LENGTH_UNITS).map((u) => (
+            <option key={u} value={u}>
+              {LENGTH_UNITS[u].label}
+            </option>
+          ))}
+        </select>
         <button
-          onClick={() => onNudge(step, 0)}
-          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+          onClick={apply}
+          disabled={!ready}
+          className="px-3 py-2 rounded bg-blue-600 text-white shadow"
         >
-          →
+          Set Scale
         </button>
-        <div />
         <button
-          onClick={() => onNudge(0, -step)}
-          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+          onClick={onCancel}
+          className="px-3 py-2 rounded bg-neutral-800 border border-neutral-600"
         >
-          ↓
+          Cancel
         </button>
-        <div />
       </div>
     </div>
   );
 }
 
-/* ───────────────────────────── App ───────────────────────────── */
+/* ───────────────────────── Occlusion mask editor ───────────────────────── */
 
-export default function App() {
-  const [S, setS] = useState(() => ({
-    file: null,
-    imgW: 1600,
-    imgH: 900,
-    signTX: 0,
-    signTY: 0,
-    signRZ: 0,
-    signScale: 1,
-    activeTool: 'lines',
-    signType: 'pan',
-    showLettersOnPan: false,
-    text: DEFAULT_TEXT,
-    fontUrl: FONT_OPTIONS.Helvetiker,
-    style: 'front',
-    size: 32,
-    lineSpacing: 1.1,
-    faceColor: '#ffffff',
-    trimColor: '#222222',
-    haloStrength: 1.8,
-    haloColor: '#ffffff',
-    glowSize: 0.08, // NEW: size of halo backplate (0…0.5)
-    bloomRadius: 0.6, // NEW: true glow spread
-    haloOffsetX: 0,
-    haloOffsetY: 0,
-    timeOfDay: 0,
-    showRaceway: false,
-    racewayColor: '#222222',
-    racewayHeightUnits: 32 * 0.35,
-    racewayPadUnits: 6,
-    racewayYOffsetUnits: 0,
-    racewayZOrder: 'behind',
-    perLineRaceway: true,
-    perLinePadUnits: [],
-    perLineHeightUnits: [],
-    perLineWidthScale: [],
-    showPanel: true,
-    panelColor: '#cfcfcf',
-    panelDepth: 0.2,
+const MASK_FILL = 'rgba(59,130,246,0.3)';
+const MASK_LINE = '#60a5fa';
+const MASK_ERASE = 'rgba(248,113,113,0.35)';
+
+// Draws and edits occlusion masks over the preview. Masks live in photo uv;
+// `toScreen` / `toPhoto` map between uv and preview px. Edits are committed
+// through `onChange` once per finished shape or drag, so each is one undo.
+function OcclusionMaskEditor({
+  tool, // 'polygon' | 'brush' | 'erase'
+  size,
+  masks,
+  brushRadius,
+  toScreen,
+  toPhoto,
+  onChange,
+}) {
+  const rootRef = useRef(null);
+  const [draft, setDraft] = useState(null); // uv points being drawn
+  const [drag, setDrag] = useState(null); // { id, index, uv } vertex move
+  const [hover, setHover] = useState(null); // px, brush cursor
+
+  const closePolygon = () => {
+    if (draft?.length >= 3)
+      onChange([...masks, { id: newMaskId(), type: 'polygon', points: draft }]);
+    setDraft(null);
+  };
+
+  useEffect(() => setDraft(null), [tool]);
+  useEffect(() => {
+    if (tool !== 'polygon') return;
+    const onKey = (e) => {
+      if (!draft) return;
+      if (e.key === 'Escape') setDraft(null);
+      else if (e.key === 'Enter') closePolygon();
+      else if (e.key === 'Backspace')
+        setDraft(draft.length > 1 ? draft.slice(0, -1) : null);
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  const local = (e) => {
+    const rect = rootRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const near = (a, b, r = 8) => Math.hypot(a.x - b.x, a.y - b.y) < r;
+  // screen px per unit of u around `p`, for brush widths
+  const pxPerU = (p) => {
+    const a = toScreen(p);
+    const b = toScreen({ u: p.u + 0.01, v: p.v });
+    return Math.hypot(b.x - a.x, b.y - a.y) / 0.01;
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0) return;
+    const p = local(e);
+    const uv = toPhoto(p);
+    if (tool === 'polygon') {
+      if (!draft) {
+        for (const m of masks) {
+          if (m.type !== 'polygon') continue;
+          const index = m.points.findIndex((q) => near(toScreen(q), p));
+          if (index >= 0) {
+            rootRef.current.setPointerCapture?.(e.pointerId);
+            setDrag({ id: m.id, index, uv: m.points[index] });
+            return;
+          }
+        }
+      }
+      if (draft?.length >= 3 && near(toScreen(draft[0]), p)) {
+        closePolygon();
+        return;
+      }
+      if (!uv) return;
+      if (draft && near(toScreen(draft[draft.length - 1]), p, 3)) return;
+      setDraft([...(draft || []), uv]);
+      return;
+    }
+    if (!uv) return;
+    rootRef.current.setPointerCapture?.(e.pointerId);
+    setDraft([uv]);
+  };
+
+  const onPointerMove = (e) => {
+    const p = local(e);
+    setHover(p);
+    if (drag) {
+      const uv = toPhoto(p);
+      if (uv) setDrag({ ...drag, uv });
+      return;
+    }
+    if (tool === 'polygon' || !draft) return;
+    if (near(toScreen(draft[draft.length - 1]), p, 2)) return;
+    const uv = toPhoto(p);
+    if (uv) setDraft([...draft, uv]);
+  };
+
+  const onPointerUp = (e) => {
+    rootRef.current.releasePointerCapture?.(e.pointerId);
+    if (drag) {
+      onChange(
+        masks.map((m) =>
+          m.id === drag.id
+            ? {
+                ...m,
+                rough: false,
+                points: m.points.map((q, i) =>
+                  i === drag.index ? drag.uv : q
+                ),
+              }
+            : m
+        )
+      );
+      setDrag(null);
+      return;
+    }
+    if (tool !== 'polygon' && draft) {
+      onChange([
+        ...masks,
+        {
+          id: newMaskId(),
+          type: 'stroke',
+          points: draft,
+          radius: brushRadius,
+          erase: tool === 'erase',
+        },
+      ]);
+      setDraft(null);
+    }
+  };
+
+  const pts = (list) =>
+    list
+      .map((q) => toScreen(q))
+      .map((q) => `${q.x},${q.y}`)
+      .join(' ');
+  const shown = masks.map((m) =>
+    drag?.id === m.id
+      ? {
+          ...m,
+          points: m.points.map((q, i) => (i === drag.index ? drag.uv : q)),
+        }
+      : m
+  );
+
+  return (
+    <div
+      ref={rootRef}
+      className="absolute inset-0 z-[5] cursor-crosshair select-none"
+      style={{ width: size.w, height: size.h, touchAction: 'none' }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerLeave={() => setHover(null)}
+      onDoubleClick={() => tool === 'polygon' && closePolygon()}
+    >
+      <svg width={size.w} height={size.h} className="absolute inset-0">
+        {shown.map((m) =>
+          m.type === 'polygon' ? (
+            <g key={m.id}>
+              <polygon
+                points={pts(m.points)}
+                fill={m.rough ? 'none' : MASK_FILL}
+                stroke={MASK_LINE}
+                strokeWidth="1.5"
+                strokeDasharray={m.rough ? '6 4' : undefined}
+              />
+              {tool === 'polygon' &&
+                m.points.map((q, i) => {
+                  const c = toScreen(q);
+                  return (
+                    <circle
+                      key={i}
+                      cx={c.x}
+                      cy={c.y}
+                      r="4"
+                      fill="#fff"
+                      stroke={MASK_LINE}
+                    />
+                  );
+                })}
+            </g>
+          ) : (
+            <polyline
+              key={m.id}
+              points={pts(m.points)}
+              fill="none"
+              stroke={m.erase ? MASK_ERASE : MASK_FILL}
+              strokeWidth={2 * m.radius * pxPerU(m.points[0])}
+              strokeLinecap="round"
+              strokeLinejoin="round"
+            />
+          )
+        )}
+        {draft && tool === 'polygon' && (
+          <g>
+            <polyline
+              points={pts(draft)}
+              fill="none"
+              stroke={MASK_LINE}
+              strokeWidth="1.5"
+              strokeDasharray="4 3"
+            />
+            {draft.map((q, i) => {
+              const c = toScreen(q);
+              return (
+                <circle
+                  key={i}
+                  cx={c.x}
+                  cy={c.y}
+                  r={i === 0 ? 6 : 4}
+                  fill={i === 0 ? MASK_LINE : '#fff'}
+                  stroke={MASK_LINE}
+                />
+              );
+            })}
+          </g>
+        )}
+        {draft && tool !== 'polygon' && (
+          <polyline
+            points={pts(draft)}
+            fill="none"
+            stroke={tool === 'erase' ? MASK_ERASE : MASK_FILL}
+            strokeWidth={2 * brushRadius * pxPerU(draft[0])}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        )}
+        {hover && tool !== 'polygon' && toPhoto(hover) && (
+          <circle
+            cx={hover.x}
+            cy={hover.y}
+            r={brushRadius * pxPerU(toPhoto(hover))}
+            fill="none"
+            stroke="#fff"
+            strokeDasharray="3 3"
+          />
+        )}
+      </svg>
+    </div>
+  );
+}
+
+/* ───────────────────────── Retouch editor ───────────────────────── */
+
+const RETOUCH_LINE = '#f472b6';
+const RETOUCH_FILL = 'rgba(244,114,182,0.3)';
+
+// Picks the region of a photo retouch over the preview: a dragged
+// rectangle, a brush stroke, or a clone-stamp stroke (Alt-click sets the
+// source). Each finished region goes to `onApply` in photo uv.
+function RetouchEditor({
+  tool, // 'rect' | 'brush' | 'clone'
+  size,
+  radius,
+  source,
+  busy,
+  toScreen,
+  toPhoto,
+  onSource,
+  onApply,
+}) {
+  const rootRef = useRef(null);
+  const [draft, setDraft] = useState(null); // uv points; rect: [corner, corner]
+  const [hover, setHover] = useState(null); // px
+
+  useEffect(() => setDraft(null), [tool]);
+
+  const local = (e) => {
+    const rect = rootRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+  const pxPerU = (p) => {
+    const a = toScreen(p);
+    const b = toScreen({ u: p.u + 0.01, v: p.v });
+    return Math.hypot(b.x - a.x, b.y - a.y) / 0.01;
+  };
+
+  const onPointerDown = (e) => {
+    if (e.button !== 0 || busy) return;
+    const uv = toPhoto(local(e));
+    if (!uv) return;
+    if (tool === 'clone' && (e.altKey || !source)) {
+      onSource(uv);
+      return;
+    }
+    rootRef.current.setPointerCapture?.(e.pointerId);
+    setDraft(tool === 'rect' ? [uv, uv] : [uv]);
+  };
+
+  const onPointerMove = (e) => {
+    const p = local(e);
+    setHover(p);
+    if (!draft) return;
+    const uv = toPhoto(p);
+    if (!uv) return;
+    if (tool === 'rect') setDraft([draft[0], uv]);
+    else {
+      const last = toScreen(draft[draft.length - 1]);
+      if (Math.hypot(last.x - p.x, last.y - p.y) > 2) setDraft([...draft, uv]);
+    }
+  };
+
+  const onPointerUp = (e) => {
+    rootRef.current.releasePointerCapture?.(e.pointerId);
+    if (!draft) return;
+    setDraft(null);
+    if (tool === 'rect') {
+      const [a, b] = draft;
+      const box = {
+        u0: Math.min(a.u, b.u),
+        v0: Math.min(a.v, b.v),
+        u1: Math.max(a.u, b.u),
+        v1: Math.max(a.v, b.v),
+      };
+      if (box.u1 - box.u0 > 0.002 && box.v1 - box.v0 > 0.002)
+        onApply({ type: 'rect', box });
+      return;
+    }
+    onApply({
+      type: tool,
+      points: draft,
+      radius,
+      ...(tool === 'clone' ? { source } : {}),
+    });
+  };
+
+  const pts = (list) =>
+    list
+      .map((q) => toScreen(q))
+      .map((q) => `${q.x},${q.y}`)
+      .join(' ');
+  // where the clone source sits for the current stroke / cursor
+  const sourceAt = (() => {
+    if (tool !== 'clone' || !source) return null;
+    if (!draft) return toScreen(source);
+    const first = toScreen(draft[0]);
+    const last = toScreen(draft[draft.length - 1]);
+    const s = toScreen(source);
+    return { x: s.x + last.x - first.x, y: s.y + last.y - first.y };
+  })();
+
+  return (
+    <div
+      ref={rootRef}
+      className={`absolute inset-0 z-[5] select-none ${
+        busy ? 'cursor-wait' : 'cursor-crosshair'
+      }`}
+      style={{ width: size.w, height: size.h, touchAction: 'none' }}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+      onPointerLeave={() => setHover(null)}
+    >
+      <svg width={size.w} height={size.h} className="absolute inset-0">
+        {draft && tool === 'rect' && (
+          <polygon
+            points={pts([
+              draft[0],
+              { u: draft[1].u, v: draft[0].v },
+              draft[1],
+              { u: draft[0].u, v: draft[1].v },
+            ])}
+            fill={RETOUCH_FILL}
+            stroke={RETOUCH_LINE}
+            strokeWidth="1.5"
+            strokeDasharray="4 3"
+          />
+        )}
+        {draft && tool !== 'rect' && (
+          <polyline
+            points={pts(draft)}
+            fill="none"
+            stroke={RETOUCH_FILL}
+            strokeWidth={2 * radius * pxPerU(draft[0])}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+          />
+        )}
+        {hover && tool !== 'rect' && toPhoto(hover) && (
+          <circle
+            cx={hover.x}
+            cy={hover.y}
+            r={radius * pxPerU(toPhoto(hover))}
+            fill="none"
+            stroke="#fff"
+            strokeDasharray="3 3"
+          />
+        )}
+        {sourceAt && (
+          <g stroke={RETOUCH_LINE} strokeWidth="1.5">
+            <line
+              x1={sourceAt.x - 8}
+              y1={sourceAt.y}
+              x2={sourceAt.x + 8}
+              y2={sourceAt.y}
+            />
+            <line
+              x1={sourceAt.x}
+              y1={sourceAt.y - 8}
+              x2={sourceAt.x}
+              y2={sourceAt.y + 8}
+            />
+          </g>
+        )}
+      </svg>
+    </div>
+  );
+}
+
+/* ───────────────────────── Dimension Overlay ───────────────────────── */
+
+const DIM_COLOR = '#fde047';
+const DIM_WARN = '#f87171';
+
+// Architectural dimension strings over the preview. Each dimension is
+// already projected to preview px: `from`/`to` are the measured features,
+// `a`/`b` the offset dimension line.
+function DimensionOverlay({ svgRef, size, dims }) {
+  return (
+    <svg
+      ref={svgRef}
+      className="absolute inset-0 z-[3] pointer-events-none"
+      width={size.w}
+      height={size.h}
+    >
+      {dims.map((d, i) => {
+        const color = d.warn ? DIM_WARN : DIM_COLOR;
+        const ang = Math.atan2(d.b.y - d.a.y, d.b.x - d.a.x);
+        const up =
+          ang > Math.PI / 2 || ang < -Math.PI / 2 ? ang + Math.PI : ang;
+        const mx = (d.a.x + d.b.x) / 2;
+        const my = (d.a.y + d.b.y) / 2;
+        const tick = (p) => {
+          const t = ang + Math.PI / 4;
+          return (
+            <line
+              x1={p.x - 5 * Math.cos(t)}
+              y1={p.y - 5 * Math.sin(t)}
+              x2={p.x + 5 * Math.cos(t)}
+              y2={p.y + 5 * Math.sin(t)}
+              stroke={color}
+              strokeWidth="1.5"
+            />
+          );
+        };
+        return (
+          <g key={i}>
+            {d.from && (
+              <line
+                x1={d.from.x}
+                y1={d.from.y}
+                x2={d.a.x}
+                y2={d.a.y}
+                stroke={color}
+                strokeOpacity="0.5"
+                strokeWidth="1"
+              />
+            )}
+            {d.to && (
+              <line
+                x1={d.to.x}
+                y1={d.to.y}
+                x2={d.b.x}
+                y2={d.b.y}
+                stroke={color}
+                strokeOpacity="0.5"
+                strokeWidth="1"
+              />
+            )}
+            <line
+              x1={d.a.x}
+              y1={d.a.y}
+              x2={d.b.x}
+              y2={d.b.y}
+              stroke={color}
+              strokeWidth="1"
+            />
+            {tick(d.a)}
+            {tick(d.b)}
+            <text
+              x={mx}
+              y={my}
+              dy="-4"
+              transform={`rotate(${deg(up)} ${mx} ${my})`}
+              textAnchor="middle"
+              fontFamily="Helvetica, Arial, sans-serif"
+              fontSize="12"
+              fill={color}
+              stroke="rgba(0,0,0,0.75)"
+              strokeWidth="3"
+              paintOrder="stroke"
+            >
+              {d.label}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Day snapshot left of the divider, night snapshot right of it. Covers the
+// live canvases (gizmos are off while comparing); only the handle takes
+// pointer events.
+function DayNightCompare({ shots, split, onDrag }) {
+  const pct = `${split * 100}%`;
+  const label =
+    'absolute top-2 px-2 py-0.5 rounded bg-black/60 text-white text-xs';
+  return (
+    <div className="absolute inset-0 z-[4] pointer-events-none select-none">
+      {shots ? (
+        <>
+          <img
+            src={shots.day}
+            alt="Day"
+            className="absolute inset-0 w-full h-full"
+            style={{ clipPath: `inset(0 ${100 - split * 100}% 0 0)` }}
+          />
+          <img
+            src={shots.night}
+            alt="Night"
+            className="absolute inset-0 w-full h-full"
+            style={{ clipPath: `inset(0 0 0 ${pct})` }}
+          />
+        </>
+      ) : (
+        <div className="absolute inset-0 flex items-center justify-center bg-black/40 text-sm">
+          Rendering day / night…
+        </div>
+      )}
+      <span className={`${label} left-2`}>Day</span>
+      <span className={`${label} right-2`}>Night</span>
+      <div
+        className="absolute top-0 bottom-0 w-6 -ml-3 cursor-ew-resize pointer-events-auto flex justify-center"
+        style={{ left: pct }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          onDrag(e);
+        }}
+        onPointerMove={(e) =>
+          e.currentTarget.hasPointerCapture(e.pointerId) && onDrag(e)
+        }
+      >
+        <div className="w-0.5 h-full bg-white shadow" />
+        <div className="absolute top-1/2 -translate-y-1/2 w-6 h-6 rounded-full bg-white text-neutral-900 text-xs flex items-center justify-center shadow">
+          ↔
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ───────────────────────── Nudge Pad ───────────────────────── */
+
+function NudgePad({ label, onNudge, step, setStep, onCenter }) {
+  return (
+    <div className="border border-neutral-800 rounded-lg p-3 space-y-2">
+      <div className="text-sm font-medium">{label}</div>
+      <div className="flex gap-2 items-center">
+        <span className="text-xs opacity-70">Step</span>
+        <input
+          type="number"
+          step="0.1"
+          min="0.05"
+          className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-20"
+          value={step}
+          onChange={(e) =>
+            setStep(Math.max(0.05, Number(e.target.value) || 0.05))
+          }
+        />
+      </div>
+      <div className="grid grid-cols-3 gap-2 w-[160px]">
+        <div />
+        <button
+          onClick={() => onNudge(0, step)}
+          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+        >
+          ↑
+        </button>
+        <div />
+        <button
+          onClick={() => onNudge(-step, 0)}
+          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+        >
+          ←
+        </button>
+        <button
+          onClick={() => onCenter ? onCenter() : onNudge(0, 0)}
+          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+          title="Center"
+        >
+          •
+        </button>
+        <button
+          onClick={() => onNudge(step, 0)}
+          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+        >
+          →
+        </button>
+        <div />
+        <button
+          onClick={() => onNudge(0, -step)}
+          className="p-2 rounded bg-neutral-800 border border-neutral-700"
+        >
+          ↓
+        </button>
+        <div />
+      </div>
+    </div>
+  );
+}
+
+/* ───────────────────────── Session Recovery ───────────────────────── */
+
+function RecoveryDialog({ sessions, onRestore, onDelete, onDismiss }) {
+  if (!sessions?.length) return null;
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4">
+      <div className="bg-neutral-900 rounded-2xl p-4 shadow-2xl w-full max-w-3xl space-y-4 max-h-[90vh] overflow-y-auto">
+        <div>
+          <h2 className="text-xl font-semibold">Restore a previous session?</h2>
+          <p className="text-sm opacity-70">
+            Designs are autosaved in this browser every few seconds.
+          </p>
+        </div>
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+          {sessions.map((s, i) => (
+            <div
+              key={s.id}
+              className={`rounded-lg border p-2 space-y-2 ${
+                i === 0 ? 'border-blue-400' : 'border-neutral-700'
+              }`}
+            >
+              {s.thumbnail ? (
+                <img
+                  src={s.thumbnail}
+                  alt=""
+                  className="w-full aspect-video object-cover rounded bg-neutral-800"
+                />
+              ) : (
+                <div className="w-full aspect-video rounded bg-neutral-800" />
+              )}
+              <div className="text-sm font-medium truncate">
+                {s.title || 'Untitled'}
+              </div>
+              <div className="text-xs opacity-70">
+                {new Date(s.updatedAt).toLocaleString()}
+              </div>
+              <div className="flex gap-2">
+                <button
+                  onClick={() => onRestore(s)}
+                  className="px-2 py-1 rounded bg-blue-600 text-white text-sm"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => onDelete(s)}
+                  className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-sm"
+                >
+                  Delete
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+        <div className="flex justify-end">
+          <button
+            onClick={onDismiss}
+            className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+          >
+            Start fresh
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ───────────────────────────── App ───────────────────────────── */
+
+const COMPLIANCE_BADGES = {
+  pass: 'bg-green-700 text-white',
+  warn: 'bg-amber-500 text-black',
+  fail: 'bg-red-600 text-white',
+  unknown: 'bg-neutral-700 text-neutral-200',
+};
+
+// Design fields that only drive the editor (gizmos, units, paperwork) and
+// leave the rendered scene as it is.
+const EDITOR_ONLY_FIELDS = [
+  'enableLineSizers',
+  'activeLineIndex',
+  'transformMode',
+  'snapEnabled',
+  'snapStep',
+  'snapAngleDeg',
+  'logoGizmoMode',
+  'fitPoints',
+  'fitMode',
+  'calibration',
+  'displayUnit',
+  'showDimensions',
+  'complianceZone',
+  'frontage',
+  'litHours',
+  'proposal',
+];
+
+// A new design, and what an opened project or session fills in for any
+// field it doesn't carry.
+function defaultDesign() {
+  return {
+    file: null,
+    retouchedFile: null,
+    imgW: 1600,
+    imgH: 900,
+    signTX: 0,
+    signTY: 0,
+    signRZ: 0,
+    signScale: 1,
+    activeTool: 'lines',
+    signType: 'pan',
+    showLettersOnPan: false,
+    text: DEFAULT_TEXT,
+    fontUrl: FONT_OPTIONS.Helvetiker,
+    style: 'front',
+    size: 32,
+    lineSpacing: 1.1,
+    faceColor: '#ffffff',
+    trimColor: '#222222',
+    haloStrength: 1.8,
+    haloColor: '#ffffff',
+    glowSize: 0.08, // NEW: size of halo backplate (0…0.5)
+    bloomRadius: 0.6, // NEW: true glow spread
+    haloOffsetX: 0, // off-axis light, in standoffs
+    haloOffsetY: 0,
+    standoffIn: 1.5, // halo letters' gap to the wall
+    shadowsOn: true,
+    shadowSoftness: 4, // blur radius, shadow-map texels
+    shadowOpacity: 0.45,
+    // sun model: site, the compass bearing the facade faces, local clock
+    siteLat: 40.7128,
+    siteLon: -74.006,
+    facadeBearing: 180,
+    sunDate: TODAY,
+    sunTime: '14:00',
+    siteTimeZone: localTimeZone(), // IANA zone of the site's clock
+    showRaceway: false,
+    racewayColor: '#222222',
+    racewayHeightUnits: 32 * 0.35,
+    racewayPadUnits: 6,
+    racewayYOffsetUnits: 0,
+    racewayZOrder: 'behind',
+    perLineRaceway: true,
+    perLinePadUnits: [],
+    perLineHeightUnits: [],
+    perLineWidthScale: [],
+    showPanel: true,
+    panelColor: '#cfcfcf',
+    panelDepth: 0.2,
     panelPadX: 6,
     panelPadY: 6,
     bldTiltX: 0,
@@ -945,12 +2332,39 @@ export default function App() {
     logoGizmoMode: 'translate',
     fitPoints: [],
     fitMode: false,
-  }));
+    signHomography: null, // 3×3 sign→wall perspective from Plane Snap
+    fitModel: 'warp', // 'warp' (homography) | 'camera' (solved pose)
+    cameraPose: null,
+    poseFovDeg: null, // photo vertical FOV; null = estimate from corners
+    poseAspect: null, // fascia width/height; null = estimate from corners
+    calibration: null, // { a, b (photo uv), length, unit } reference line
+    displayUnit: 'in',
+    fasciaRect: null, // { w, h } wall rectangle pinned by Plane Snap
+    showDimensions: false,
+    complianceZone: ZONES[0].id,
+    frontage: { w: null, h: null }, // facade size in inches, for area rules
+    litHours: { from: '17:00', to: '23:00' },
+    proposal: { customer: '', contact: '', site: '', preparedBy: '' },
+    occlusionMasks: [], // see occlusion.js
+  };
+}
+
+export default function App() {
+  const [S, setS] = useState(defaultDesign);
 
   const set = (patch) => setS((prev) => ({ ...prev, ...patch }));
-  const imgURL = useObjectURL(S.file);
+  const originalURL = useObjectURL(S.file);
+  const retouchedURL = useObjectURL(S.retouchedFile);
+  // everything downstream works on the retouched copy once there is one
+  const imgURL = retouchedURL || originalURL;
   const logoURL = useObjectURL(S.logoFile);
-  const { undo, redo, canUndo, canRedo } = useHistory(S, setS);
+  const {
+    undo,
+    redo,
+    reset: resetHistory,
+    canUndo,
+    canRedo,
+  } = useHistory(S, setS);
 
   useEffect(() => {
     if (!imgURL) return;
@@ -959,11 +2373,6 @@ export default function App() {
     i.src = imgURL;
   }, [imgURL]);
 
-  const ambientI = THREE.MathUtils.lerp(0.35, 0.06, S.timeOfDay);
-  const dirI = THREE.MathUtils.lerp(0.75, 0.22, S.timeOfDay);
-  const overlayAlpha = THREE.MathUtils.lerp(0.0, 0.65, S.timeOfDay);
-  const envPreset = S.timeOfDay > 0.6 ? 'night' : 'sunset';
-
   const uiLines = useMemo(
     () => (S.text || DEFAULT_TEXT).split('\n').map((s) => s.trimEnd()),
     [S.text]
@@ -1038,12 +2447,19 @@ export default function App() {
   const dispW = Math.max(640, Math.min(maxW, S.imgW));
   const dispH = S.imgH * (dispW / S.imgW);
 
+  // Fraction of the preview (both axes) covered by the untilted photo plane.
+  const photoFrac = useMemo(() => {
+    const dist = CAMERA.position[2] + 1;
+    const visibleH = 2 * dist * Math.tan(rad(CAMERA.fov / 2));
+    return Math.min(1, (PLANE_W * (S.imgH / S.imgW)) / visibleH);
+  }, [S.imgW, S.imgH]);
+
   const textOnlyRef = useRef();
 
   const getTextOnlyWorldSize = () => {
     const grp = textOnlyRef.current;
     if (!grp) return { w: 1, h: 1 };
-    const box = new THREE.Box3().setFromObject(grp);
+    const box = localBox(grp);
     return {
       w: Math.max(0.001, box.max.x - box.min.x),
       h: Math.max(0.001, box.max.y - box.min.y),
@@ -1064,97 +2480,949 @@ export default function App() {
       width: localW,
       height: localH,
     };
-  }, [S.text, S.size, S.lineSpacing, S.perLineWidthScale]);
+  }, [S.text, S.size, S.lineSpacing, S.perLineWidthScale]);
+
+  const panelBounds = useMemo(() => {
+    const { w: textW, h: textH } = getTextOnlyWorldSize();
+    const localW = textW + 2 * S.panelPadX;
+    const localH = textH + 2 * S.panelPadY;
+    const m = 0.4;
+    return {
+      minX: -localW / 2 + m,
+      maxX: localW / 2 - m,
+      minY: -localH / 2 + m,
+      maxY: localH / 2 - m,
+      width: localW,
+      height: localH,
+    };
+  }, [
+    S.text,
+    S.size,
+    S.lineSpacing,
+    S.panelPadX,
+    S.panelPadY,
+    S.perLineWidthScale,
+  ]);
+
+  const lettersVisible =
+    S.signType === 'letters' || (S.signType === 'pan' && S.showLettersOnPan);
+
+  const logoDefaultWidth = useMemo(() => {
+    const containerW =
+      S.signType === 'pan' ? panelBounds?.width : lettersBounds?.width;
+    return Math.max(0.5, (containerW || S.size * 4) * 0.6);
+  }, [S.signType, panelBounds.width, lettersBounds.width, S.size]);
+
+  useEffect(() => {
+    if (!S.logoBaseWidth && logoDefaultWidth)
+      set({ logoBaseWidth: logoDefaultWidth });
+  }, [logoDefaultWidth]);
+
+  // Ray from the preview camera through a preview pixel (or normalised
+  // 0…1 point), hit on a plane through `origin` rotated by the wall tilt,
+  // returned in that plane's local coordinates.
+  const previewRayToTiltedPlane = (pt, origin) => {
+    const pose = S.cameraPose;
+    const cam = new THREE.PerspectiveCamera(
+      pose ? pose.fov : CAMERA.fov,
+      dispW / dispH,
+      0.1,
+      1000
+    );
+    cam.position.fromArray(pose ? pose.position : CAMERA.position);
+    if (pose) cam.quaternion.fromArray(pose.quaternion);
+    cam.updateMatrixWorld();
+    const ray = new THREE.Raycaster();
+    ray.setFromCamera(new THREE.Vector2(pt.x * 2 - 1, 1 - pt.y * 2), cam);
+    const tilt = new THREE.Quaternion();
+    if (!pose) {
+      tilt.setFromEuler(new THREE.Euler(rad(S.bldTiltX), rad(S.bldTiltY), 0));
+    }
+    const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(
+      new THREE.Vector3(0, 0, 1).applyQuaternion(tilt),
+      origin
+    );
+    const hit = ray.ray.intersectPlane(plane, new THREE.Vector3());
+    if (!hit) return null;
+    hit.sub(origin).applyQuaternion(tilt.invert());
+    return { x: hit.x, y: hit.y };
+  };
+
+  const screenToWall = (pt) =>
+    previewRayToTiltedPlane(pt, new THREE.Vector3(0, 0, 0));
+
+  // Preview px → photo uv (0…1, top-left origin) through the building plane.
+  const screenToPhoto = (pt) => {
+    if (S.cameraPose) {
+      return {
+        u: (pt.x / dispW - 0.5) / photoFrac + 0.5,
+        v: (pt.y / dispH - 0.5) / photoFrac + 0.5,
+      };
+    }
+    const hit = previewRayToTiltedPlane(
+      { x: pt.x / dispW, y: pt.y / dispH },
+      new THREE.Vector3(0, 0, -1)
+    );
+    if (!hit) return null;
+    const planeH = PLANE_W * (S.imgH / S.imgW);
+    return { u: hit.x / PLANE_W + 0.5, v: 0.5 - hit.y / planeH };
+  };
+
+  // Photo uv → normalised preview point (inverse of screenToPhoto).
+  const photoToScreen = ({ u, v }) => {
+    if (S.cameraPose) {
+      return { x: 0.5 + (u - 0.5) * photoFrac, y: 0.5 + (v - 0.5) * photoFrac };
+    }
+    const planeH = PLANE_W * (S.imgH / S.imgW);
+    const p = new THREE.Vector3((u - 0.5) * PLANE_W, (0.5 - v) * planeH, 0)
+      .applyEuler(new THREE.Euler(rad(S.bldTiltX), rad(S.bldTiltY), 0))
+      .add(new THREE.Vector3(0, 0, -1));
+    const cam = new THREE.PerspectiveCamera(CAMERA.fov, dispW / dispH);
+    cam.position.fromArray(CAMERA.position);
+    cam.updateMatrixWorld();
+    p.project(cam);
+    return { x: (p.x + 1) / 2, y: (1 - p.y) / 2 };
+  };
+
+  // Normalised preview point → the frame signTX/signTY/signScale live in
+  // (the wall, un-warped through the Plane Snap homography if any).
+  const screenToPlacement = (pt) => {
+    const hit = screenToWall(pt);
+    if (!hit || !S.signHomography) return hit;
+    const inv = invertHomography(S.signHomography);
+    return inv && applyHomography(inv, hit);
+  };
+
+  // Scene units per real inch from the reference line. Re-measured through
+  // the current tilt / fit on every render so it stays valid as the wall is
+  // adjusted (two unprojections, cheap enough not to memoize).
+  const unitsPerInch = (() => {
+    const cal = S.calibration;
+    if (!cal) return null;
+    const [a, b] = [cal.a, cal.b].map((p) =>
+      screenToPlacement(photoToScreen(p))
+    );
+    if (!a || !b) return null;
+    const d = Math.hypot(b.x - a.x, b.y - a.y);
+    const inches = toInches(cal.length, cal.unit);
+    return d > 1e-6 && inches > 0 ? d / inches : null;
+  })();
+
+  // Scene length → label in the display unit (or raw units if uncalibrated).
+  const fmtLen = (sceneLen, raw = sceneLen.toFixed(1)) =>
+    unitsPerInch ? formatLength(sceneLen / unitsPerInch, S.displayUnit) : raw;
+
+  // Halo standoff in sign units: letters sit this far off the wall, which
+  // sets how far the glow spreads. Uncalibrated, assume typical letters.
+  const standoffUnits =
+    S.style === 'halo'
+      ? S.standoffIn *
+        (unitsPerInch ? unitsPerInch / S.signScale : S.size / ASSUMED_LETTER_IN)
+      : 0;
+
+  const [calibrating, setCalibrating] = useState(false);
+
+  const applyCalibration = ({ a, b, length, unit }) => {
+    const [ua, ub] = [a, b].map((p) =>
+      screenToPhoto({ x: p.x * dispW, y: p.y * dispH })
+    );
+    if (!ua || !ub) {
+      alert('The reference line must lie on the photo.');
+      return;
+    }
+    set({
+      calibration: { a: ua, b: ub, length, unit },
+      displayUnit: unit,
+    });
+    setCalibrating(false);
+  };
+
+  // The letters' font as outlines (letter heights, LED layout, light spill);
+  // loads are cached, so this only waits on the first use of a font.
+  const [glyphFont, setGlyphFont] = useState(null); // { url, font }
+  useEffect(() => {
+    let alive = true;
+    loadFont(S.fontUrl)
+      .then((font) => alive && setGlyphFont({ url: S.fontUrl, font }))
+      .catch((err) => console.warn('Font load failed', err));
+    return () => {
+      alive = false;
+    };
+  }, [S.fontUrl]);
+
+  // Letter heights are cap heights (a flat capital's top above the
+  // baseline), at S.size in the line frame; `lines` has each line's outline
+  // extent, whose middle is the line's centre (Text3D anchors it there).
+  // Null until the font is loaded.
+  const fontMetrics = useMemo(() => {
+    if (glyphFont?.url !== S.fontUrl) return null;
+    const lines = (S.text || DEFAULT_TEXT).split('\n').map((line) => {
+      let bottom = Infinity;
+      let top = -Infinity;
+      for (const c of new Set(line)) {
+        if (!c.trim()) continue;
+        const m = glyphMetrics(glyphFont.font, c, S.size);
+        bottom = Math.min(bottom, m.bottom);
+        top = Math.max(top, m.top);
+      }
+      if (!(top > bottom)) return null;
+      // width as Text3D lays the line out
+      const box = new THREE.Box2();
+      lineGlyphs(glyphFont.font, line, S.size).forEach((g) =>
+        g.contours.forEach(({ outer }) =>
+          outer.forEach((p) => box.expandByPoint(p))
+        )
+      );
+      return { bottom, top, width: box.max.x - box.min.x };
+    });
+    return { cap: capHeight(glyphFont.font, S.size), lines };
+  }, [glyphFont, S.fontUrl, S.text, S.size]);
+
+  // Line boxes of the letters (unstretched, bevel included, centred on the
+  // line's origin like the Text3D meshes), from the font outlines so they
+  // follow the design on the same render. Null until the font is loaded.
+  const lineBoxes = useMemo(() => {
+    if (!fontMetrics) return null;
+    const bevel = Math.min(0.02 * S.size, 2);
+    return fontMetrics.lines.map(
+      (ext) =>
+        ext && {
+          w: ext.width + 2 * bevel,
+          h: ext.top - ext.bottom + 2 * bevel,
+        }
+    );
+  }, [fontMetrics, S.size]);
+
+  // Size of the whole text block, as the hidden text measures it.
+  const fontBlock = useMemo(() => {
+    if (!lineBoxes) return null;
+    const step = S.size * (S.lineSpacing || 1.1);
+    const firstY = ((lineBoxes.length - 1) * step) / 2;
+    let w = 0.001;
+    let top = -Infinity;
+    let bottom = Infinity;
+    lineBoxes.forEach((b, i) => {
+      if (!b) return;
+      const y = firstY - i * step;
+      w = Math.max(w, b.w);
+      top = Math.max(top, y + b.h / 2);
+      bottom = Math.min(bottom, y - b.h / 2);
+    });
+    return { w, h: Math.max(0.001, top - bottom) };
+  }, [lineBoxes, S.size, S.lineSpacing]);
+  // while the font loads, the hidden text's own measurement
+  const textBlock = fontBlock ?? getTextOnlyWorldSize();
+
+  // Letter (cap) height typed in real units → S.size (letters are scaled by
+  // signScale on the wall).
+  const setLetterHeight = (value) => {
+    if (!unitsPerInch || !fontMetrics || !(value > 0)) return;
+    const cap =
+      (toInches(value, S.displayUnit) * unitsPerInch) / (S.signScale || 1);
+    const size = (S.size * cap) / fontMetrics.cap;
+    set({ size: Math.max(0.5, Number(size.toFixed(2))) });
+  };
+
+  // Sign-local rectangle that Plane Snap pins to the picked corners.
+  const signRect = useMemo(() => {
+    const { w, h } = textBlock;
+    if (S.signType === 'pan' && S.showPanel) {
+      return {
+        W: Math.max(w + S.panelPadX * 2, S.size * 2),
+        H: Math.max(h + S.panelPadY * 2, S.size * 1.2),
+      };
+    }
+    const pad = S.size * 0.5;
+    return { W: (w || 1) + pad * 2, H: (h || 1) + pad * 2 };
+  }, [textBlock, S.signType, S.showPanel, S.panelPadX, S.panelPadY, S.size]);
+
+  // Homography patch for four picked corners, or null if they don't form a
+  // usable quad.
+  const fitFromPoints = (points) => {
+    if (points?.length !== 4) return null;
+    const tgt = orderQuad(points).map(screenToWall);
+    if (tgt.some((p) => !p) || !isConvexQuad(tgt)) return null;
+
+    const { W, H } = signRect;
+    const src = [
+      { x: -W / 2, y: +H / 2 },
+      { x: +W / 2, y: +H / 2 },
+      { x: +W / 2, y: -H / 2 },
+      { x: -W / 2, y: -H / 2 },
+    ];
+    const Hm = solveHomography(src, tgt);
+    if (!Hm) return null;
+    return {
+      signHomography: Hm,
+      fasciaRect: { w: W, h: H },
+      cameraPose: null,
+      signTX: 0,
+      signTY: 0,
+      signRZ: 0,
+      signScale: 1,
+    };
+  };
+
+  // Camera pose patch for four picked corners: the fascia rectangle is the
+  // sign's fit rectangle on the world z = 0 plane.
+  const poseFromPoints = (points) => {
+    if (points?.length !== 4) return null;
+    const img = orderQuad(points).map((p) => ({
+      x: ((p.x - 0.5) * dispW) / (photoFrac * dispH),
+      y: (0.5 - p.y) / photoFrac,
+    }));
+    if (!isConvexQuad(img)) return null;
+    const sol = solveRectanglePose(img, {
+      width: signRect.W,
+      fovDeg: S.poseFovDeg || undefined,
+      aspect: S.poseAspect || undefined,
+    });
+    if (!sol) return null;
+    const toWorld = new THREE.Matrix4()
+      .makeBasis(...sol.basis.map((v) => new THREE.Vector3(...v)))
+      .transpose();
+    const position = new THREE.Vector3(...sol.t).applyMatrix4(toWorld).negate();
+    if (position.z <= 0) return null; // camera behind the wall
+    const quaternion = new THREE.Quaternion().setFromRotationMatrix(toWorld);
+    const previewFov = deg(
+      2 * Math.atan(Math.tan(rad(sol.fovDeg / 2)) / photoFrac)
+    );
+    return {
+      cameraPose: {
+        position: position.toArray(),
+        quaternion: quaternion.toArray(),
+        fov: previewFov,
+        photoFov: sol.fovDeg,
+        focalEstimated: sol.focalEstimated,
+        aspect: sol.aspect,
+        rect: { w: sol.width, h: sol.height },
+        backdropDist: position.length() * 4,
+      },
+      signHomography: null,
+      fasciaRect: { w: sol.width, h: sol.height },
+      signTX: 0,
+      signTY: 0,
+      signRZ: 0,
+      signScale: 1,
+    };
+  };
+
+  const fitPatch = (points) =>
+    S.fitModel === 'camera' ? poseFromPoints(points) : fitFromPoints(points);
+
+  const applyFourPointFit = () => {
+    if (S.fitPoints.length !== 4) return;
+    const patch = fitPatch(S.fitPoints);
+    if (!patch) {
+      alert('Those corners do not form a usable quadrilateral; adjust them.');
+      return;
+    }
+    set({ ...patch, fitMode: false });
+  };
+
+  // Re-fit live while corners are being dragged.
+  const updateFitPoints = (pts) =>
+    set({ fitPoints: pts, ...(fitPatch(pts) || {}) });
+
+  // Sign-local (or placement-frame) point on the wall → preview px, through
+  // the same tilt / fit / camera as the canvases.
+  const wallToPreview = (() => {
+    const pose = S.cameraPose;
+    const placement = new THREE.Matrix4();
+    if (!pose) {
+      placement.makeRotationFromEuler(
+        new THREE.Euler(rad(S.bldTiltX), rad(S.bldTiltY), 0)
+      );
+      if (S.signHomography)
+        placement.multiply(homographyMatrix4(S.signHomography));
+    }
+    const sign = placement
+      .clone()
+      .multiply(
+        new THREE.Matrix4().compose(
+          new THREE.Vector3(S.signTX, S.signTY, 0),
+          new THREE.Quaternion().setFromAxisAngle(
+            new THREE.Vector3(0, 0, 1),
+            S.signRZ
+          ),
+          new THREE.Vector3(S.signScale, S.signScale, S.signScale)
+        )
+      );
+    const cam = new THREE.PerspectiveCamera(
+      pose ? pose.fov : CAMERA.fov,
+      dispW / dispH,
+      0.1,
+      pose ? pose.backdropDist * 2 : 1000
+    );
+    cam.position.fromArray(pose ? pose.position : CAMERA.position);
+    if (pose) cam.quaternion.fromArray(pose.quaternion);
+    cam.updateMatrixWorld();
+    return (p, frame = 'sign') => {
+      const v = new THREE.Vector3(p.x, p.y, 0)
+        .applyMatrix4(frame === 'sign' ? sign : placement)
+        .project(cam);
+      return { x: ((v.x + 1) / 2) * dispW, y: ((1 - v.y) / 2) * dispH };
+    };
+  })();
+
+  // Posed line boxes (sign-local) and the sign's overall bounds: the panel
+  // for pan signs, otherwise the union of the lines. Null until the font is
+  // loaded.
+  const signLayout = useMemo(() => {
+    if (!lineBoxes) return null;
+    const lines = (S.text || DEFAULT_TEXT).split('\n');
+    const step = S.size * (S.lineSpacing || 1.1);
+    const firstY = ((lines.length - 1) * step) / 2;
+    const bounds = new THREE.Box2();
+    const rows = lines.map((_, i) => {
+      if (!lineBoxes[i]) return null;
+      const { w, h } = lineBoxes[i];
+      const defaultY = firstY - i * step;
+      const p = S.linePoses[i] ?? {
+        x: 0,
+        y: defaultY,
+        rot: 0,
+        scale: 1,
+        _defaultY: defaultY,
+        _baseline: step,
+      };
+      const y =
+        p._baseline === step
+          ? p.y
+          : p.y + (defaultY - (p._defaultY ?? defaultY));
+      const ws = S.perLineWidthScale[i] ?? 1;
+      const scl = p.scale || 1;
+      const c = Math.cos(p.rot || 0);
+      const sn = Math.sin(p.rot || 0);
+      const toSign = (lx, ly) => ({
+        x: (p.x || 0) + (lx * ws * c - ly * sn) * scl,
+        y: y + (lx * ws * sn + ly * c) * scl,
+      });
+      // raceway box, as sized in ChannelLettersAndPanel (line frame)
+      const pad = (S.perLinePadUnits[i] ?? S.racewayPadUnits ?? 0) * 2;
+      const rw = Math.max(w + pad, S.size * 2);
+      const rh = Math.max(
+        S.perLineHeightUnits[i] ?? S.racewayHeightUnits ?? S.size * 0.35,
+        S.size * 0.12
+      );
+      [
+        [-w / 2, -h / 2],
+        [w / 2, -h / 2],
+        [w / 2, h / 2],
+        [-w / 2, h / 2],
+      ].forEach(([lx, ly]) =>
+        bounds.expandByPoint(new THREE.Vector2().copy(toSign(lx, ly)))
+      );
+      return { w, h, ws, scl, rw, rh, toSign };
+    });
+    if (S.signType === 'pan' && S.showPanel) {
+      const { W, H } = signRect;
+      bounds.set(
+        new THREE.Vector2(-W / 2, -H / 2),
+        new THREE.Vector2(W / 2, H / 2)
+      );
+    }
+    return { rows, bounds };
+  }, [
+    lineBoxes,
+    signRect,
+    S.text,
+    S.size,
+    S.lineSpacing,
+    S.linePoses,
+    S.perLineWidthScale,
+    S.perLinePadUnits,
+    S.racewayPadUnits,
+    S.perLineHeightUnits,
+    S.racewayHeightUnits,
+    S.signType,
+    S.showPanel,
+  ]);
+
+  // Dimension strings for the overlay: overall size, per-line letter
+  // height, raceway lengths and clearances to the Plane Snap fascia. With
+  // `elevation` they stay in sign units (flat front view, no fascia).
+  const signDimensions = ({ elevation = false } = {}) => {
+    const layout = signLayout;
+    if (!layout) return [];
+    const { rows, bounds } = layout;
+    const gap = S.size * 0.5;
+    const dims = [];
+    // dimension line a→b; `from`/`to` are the features it measures
+    const dim = (a, b, len, { from, to, frame = 'sign', warn } = {}) => {
+      const P = (v) => v && (elevation ? v : wallToPreview(v, frame));
+      dims.push({
+        a: P(a),
+        b: P(b),
+        from: P(from),
+        to: P(to),
+        label: fmtLen(len),
+        warn,
+      });
+    };
+
+    rows.forEach((r, i) => {
+      if (!r) return;
+      // cap height of the line, left of it, up from the baseline
+      const ext = fontMetrics?.lines[i];
+      if (ext) {
+        const lx = -r.w / 2 - gap / 2;
+        const base = -(ext.bottom + ext.top) / 2;
+        dim(
+          r.toSign(lx, base),
+          r.toSign(lx, base + fontMetrics.cap),
+          fontMetrics.cap * r.scl * S.signScale
+        );
+      }
+      if (!S.showRaceway || !S.perLineRaceway) return;
+      const ry = (S.racewayYOffsetUnits || 0) - r.rh / 2 - gap / 2;
+      dim(
+        r.toSign(-r.rw / 2, ry),
+        r.toSign(r.rw / 2, ry),
+        r.rw * r.ws * r.scl * S.signScale
+      );
+    });
+
+    if (bounds.isEmpty()) return dims;
+    const { min, max } = bounds;
+    // overall width above, overall height to the right
+    dim(
+      { x: min.x, y: max.y + gap },
+      { x: max.x, y: max.y + gap },
+      (max.x - min.x) * S.signScale,
+      { from: { x: min.x, y: max.y }, to: { x: max.x, y: max.y } }
+    );
+    dim(
+      { x: max.x + gap, y: min.y },
+      { x: max.x + gap, y: max.y },
+      (max.y - min.y) * S.signScale,
+      { from: { x: max.x, y: min.y }, to: { x: max.x, y: max.y } }
+    );
+
+    // clearances to the fascia edges (placement frame, sign box corners)
+    if (S.fasciaRect && !elevation) {
+      const fw = S.fasciaRect.w / 2;
+      const fh = S.fasciaRect.h / 2;
+      const c = Math.cos(S.signRZ);
+      const sn = Math.sin(S.signRZ);
+      const pb = new THREE.Box2();
+      [
+        [min.x, min.y],
+        [max.x, min.y],
+        [max.x, max.y],
+        [min.x, max.y],
+      ].forEach(([x, y]) =>
+        pb.expandByPoint(
+          new THREE.Vector2(
+            S.signTX + (x * c - y * sn) * S.signScale,
+            S.signTY + (x * sn + y * c) * S.signScale
+          )
+        )
+      );
+      const cx = (pb.min.x + pb.max.x) / 2;
+      const cy = (pb.min.y + pb.max.y) / 2;
+      // negative clearance = the sign overhangs the fascia
+      const edge = (p, q, len) =>
+        Math.abs(len) > 1e-3 &&
+        dim(p, q, Math.abs(len), { frame: 'placement', warn: len < 0 });
+      edge({ x: -fw, y: cy }, { x: pb.min.x, y: cy }, pb.min.x + fw);
+      edge({ x: pb.max.x, y: cy }, { x: fw, y: cy }, fw - pb.max.x);
+      edge({ x: cx, y: pb.max.y }, { x: cx, y: fh }, fh - pb.max.y);
+      edge({ x: cx, y: -fh }, { x: cx, y: pb.min.y }, pb.min.y + fh);
+    }
+    return dims;
+  };
+
+  // Logo pixel aspect, for its area on the wall.
+  const [logoAspect, setLogoAspect] = useState(1);
+  useEffect(() => {
+    if (!logoURL) return;
+    const i = new Image();
+    i.onload = () =>
+      setLogoAspect((i.naturalWidth || 1) / (i.naturalHeight || 1));
+    i.src = logoURL;
+  }, [logoURL]);
+
+  // Real-world measurements for the sign-code rules (inches / sq in);
+  // null where the scale isn't calibrated yet.
+  const complianceDesign = () => {
+    const layout = signLayout;
+    const k = unitsPerInch;
+    const design = {
+      style: S.style,
+      hasLetters: lettersVisible,
+      signAreaSqIn: null,
+      logoAreaSqIn: null,
+      frontageAreaSqIn:
+        S.frontage.w && S.frontage.h ? S.frontage.w * S.frontage.h : null,
+      maxLetterHeightIn: null,
+      projectionIn: null,
+      litHours: S.litHours,
+    };
+    if (!k || !layout) return design;
+    const toIn = (len) => (len * S.signScale) / k;
 
-  const panelBounds = useMemo(() => {
-    const { w: textW, h: textH } = getTextOnlyWorldSize();
-    const scl = S.signScale || 1;
-    const panelWorldW = textW + 2 * S.panelPadX * scl;
-    const panelWorldH = textH + 2 * S.panelPadY * scl;
-    const localW = panelWorldW / scl;
-    const localH = panelWorldH / scl;
-    const m = 0.4;
+    const box = layout.bounds.clone();
+    if (S.logoFile) {
+      const t = S.logoTransform;
+      const w = (S.logoBaseWidth || logoDefaultWidth) * (t.scl || 1);
+      const h = w / logoAspect;
+      const c = Math.abs(Math.cos(t.rot || 0));
+      const sn = Math.abs(Math.sin(t.rot || 0));
+      const half = new THREE.Vector2(
+        (w * c + h * sn) / 2,
+        (w * sn + h * c) / 2
+      );
+      const center = new THREE.Vector2(t.x, t.y);
+      box.union(
+        new THREE.Box2(center.clone().sub(half), center.clone().add(half))
+      );
+      design.logoAreaSqIn = toIn(w) * toIn(h);
+    }
+    if (!box.isEmpty()) {
+      design.signAreaSqIn =
+        toIn(box.max.x - box.min.x) * toIn(box.max.y - box.min.y);
+    }
+    const heights = fontMetrics
+      ? layout.rows.filter(Boolean).map((r) => toIn(fontMetrics.cap * r.scl))
+      : [];
+    if (lettersVisible && heights.length)
+      design.maxLetterHeightIn = Math.max(...heights);
+
+    // raceway / panel sit behind the letters
+    const racewayDepth = S.showRaceway
+      ? Math.max(LETTER_DEPTH * 0.4, 0.5) + Math.max(0.5, 0.02 * S.size)
+      : 0;
+    const panelDepth = S.signType === 'pan' && S.showPanel ? S.panelDepth : 0;
+    // halo letters stand off the wall by a real-world gap
+    design.projectionIn =
+      toIn((lettersVisible ? LETTER_DEPTH : 0) + racewayDepth + panelDepth) +
+      (lettersVisible && S.style === 'halo' ? S.standoffIn : 0);
+    return design;
+  };
+
+  /* Price quote (rates are per shop, kept in localStorage) */
+  const [pricing, setPricing] = useState(loadPricing);
+  const [editingRates, setEditingRates] = useState(false);
+  useEffect(() => savePricing(pricing), [pricing]);
+
+  // Quantities the quote is priced on; null until the scale is calibrated.
+  const quoteInputs = () => {
+    const layout = signLayout;
+    if (!unitsPerInch || !layout || (lettersVisible && !fontMetrics))
+      return null;
+    const toIn = (len) => (len * S.signScale) / unitsPerInch;
+    const texts = (S.text || DEFAULT_TEXT).split('\n');
+    const lines = lettersVisible
+      ? layout.rows
+          .map(
+            (r, i) =>
+              r && {
+                text: texts[i],
+                letters: texts[i].replace(/\s/g, '').length,
+                heightIn: toIn(fontMetrics.cap * r.scl), // cap height
+              }
+          )
+          .filter((ln) => ln?.letters)
+      : [];
+    const panel =
+      S.signType === 'pan' && S.showPanel
+        ? { wIn: toIn(signRect.W), hIn: toIn(signRect.H) }
+        : null;
+    const racewayFt =
+      S.showRaceway && S.perLineRaceway
+        ? layout.rows.reduce(
+            (sum, r) => sum + (r ? toIn(r.rw * r.ws * r.scl) / 12 : 0),
+            0
+          )
+        : 0;
+    const { logoAreaSqIn, signAreaSqIn } = complianceDesign();
     return {
-      minX: -localW / 2 + m,
-      maxX: localW / 2 - m,
-      minY: -localH / 2 + m,
-      maxY: localH / 2 - m,
-      width: localW,
-      height: localH,
+      signType: S.signType,
+      style: S.style,
+      lines,
+      panel,
+      racewayFt,
+      logoAreaSqIn: logoAreaSqIn || 0,
+      signAreaSqIn: signAreaSqIn || 0,
     };
+  };
+
+  /* LED modules + power supplies (lit styles only) */
+  const isLit = S.style === 'front' || S.style === 'halo';
+
+  const ledLayout = isLit ? signLayout : null;
+
+  const ledBom = useMemo(() => {
+    if (!ledLayout || !unitsPerInch || glyphFont?.url !== S.fontUrl)
+      return null;
+    const toIn = (len) => (len * S.signScale) / unitsPerInch;
+    const texts = (S.text || DEFAULT_TEXT).split('\n');
+    const raceway = S.showRaceway && S.perLineRaceway;
+    const lines = lettersVisible
+      ? ledLayout.rows
+          .map((r, i) => {
+            if (!r) return null;
+            const fontIn = toIn(S.size * r.scl);
+            return {
+              text: texts[i],
+              glyphs: [...texts[i]]
+                .filter((c) => c.trim())
+                .map((c) => ({
+                  char: c,
+                  ...glyphMetrics(glyphFont.font, c, fontIn, r.ws),
+                })),
+              racewayLengthIn: raceway ? toIn(r.rw * r.ws * r.scl) : null,
+            };
+          })
+          .filter((ln) => ln?.glyphs.length)
+      : [];
+    const panel =
+      S.signType === 'pan' && S.showPanel
+        ? { wIn: toIn(signRect.W), hIn: toIn(signRect.H) }
+        : null;
+    return estimateLedBom({ style: S.style, lines, panel });
   }, [
+    glyphFont,
+    ledLayout,
+    lettersVisible,
+    signRect,
+    unitsPerInch,
+    S.style,
+    S.fontUrl,
     S.text,
     S.size,
-    S.lineSpacing,
-    S.panelPadX,
-    S.panelPadY,
-    S.perLineWidthScale,
     S.signScale,
+    S.signType,
+    S.showPanel,
+    S.showRaceway,
+    S.perLineRaceway,
   ]);
 
-  const lettersVisible =
-    S.signType === 'letters' || (S.signType === 'pan' && S.showLettersOnPan);
+  // Light the sign throws onto the wall, as a sign-frame lightmap: the lit
+  // letter faces (and a front-lit panel) spread by the standoff / glow.
+  const lightSpill = useMemo(() => {
+    if (!isLit || glyphFont?.url !== S.fontUrl || !ledLayout) return null;
+    const texts = (S.text || DEFAULT_TEXT).split('\n');
+    const rings = [];
+    if (lettersVisible)
+      ledLayout.rows.forEach((r, i) => {
+        if (!r) return;
+        lineGlyphs(glyphFont.font, texts[i], S.size).forEach((g) =>
+          g.contours.forEach(({ outer, holes }) =>
+            [outer, ...holes].forEach((ring) =>
+              rings.push(ring.map((p) => r.toSign(p.x, p.y)))
+            )
+          )
+        );
+      });
+    if (S.style === 'front' && S.signType === 'pan' && S.showPanel) {
+      const { W, H } = signRect;
+      rings.push([
+        { x: -W / 2, y: -H / 2 },
+        { x: W / 2, y: -H / 2 },
+        { x: W / 2, y: H / 2 },
+        { x: -W / 2, y: H / 2 },
+      ]);
+    }
+    return computeLightSpill(rings, {
+      style: S.style,
+      standoff: standoffUnits,
+      letterHeight: S.size,
+    });
+  }, [
+    isLit,
+    standoffUnits,
+    glyphFont,
+    ledLayout,
+    lettersVisible,
+    signRect,
+    S.style,
+    S.fontUrl,
+    S.text,
+    S.size,
+    S.signType,
+    S.showPanel,
+  ]);
 
-  const logoDefaultWidth = useMemo(() => {
-    const containerW =
-      S.signType === 'pan' ? panelBounds?.width : lettersBounds?.width;
-    return Math.max(0.5, (containerW || S.size * 4) * 0.6);
-  }, [S.signType, panelBounds.width, lettersBounds.width, S.size]);
+  const handleExportBom = () => {
+    if (!ledBom) return;
+    const name = projectFileName(S.text).replace(PROJECT_EXT, '-led-bom.csv');
+    downloadBlob(new Blob([bomToCsv(ledBom)], { type: 'text/csv' }), name);
+  };
 
-  useEffect(() => {
-    if (!S.logoBaseWidth && logoDefaultWidth)
-      set({ logoBaseWidth: logoDefaultWidth });
-  }, [logoDefaultWidth]);
+  /* Fabrication cut files (true-scale DXF / SVG) */
+  const [cutInsetIn, setCutInsetIn] = useState(CUT_DEFAULTS.backInsetIn);
 
-  const applyFourPointFit = () => {
-    if (S.fitPoints.length !== 4) return;
-    const [tl, tr, br, bl] = orderQuad(S.fitPoints);
+  const handleExportCutFile = async (format) => {
+    const layout = signLayout;
+    if (!unitsPerInch || !layout) {
+      alert('Calibrate the scale first so parts come out at true size.');
+      return;
+    }
+    try {
+      const font = await loadFont(S.fontUrl);
+      const toIn = (len) => (len * S.signScale) / unitsPerInch;
+      const texts = (S.text || DEFAULT_TEXT).split('\n');
+      const raceway = S.showRaceway && S.perLineRaceway;
+      const lines = layout.rows
+        .map(
+          (r, i) =>
+            r && {
+              text: lettersVisible ? texts[i] : '',
+              fontIn: toIn(S.size * r.scl),
+              widthScale: r.ws,
+              raceway: raceway
+                ? { wIn: toIn(r.rw * r.ws * r.scl), hIn: toIn(r.rh * r.scl) }
+                : null,
+            }
+        )
+        .filter(Boolean);
+      const panel =
+        S.signType === 'pan' && S.showPanel
+          ? { wIn: toIn(signRect.W), hIn: toIn(signRect.H) }
+          : null;
+      const opts = { ...CUT_DEFAULTS, backInsetIn: cutInsetIn };
+      const sheet = layoutParts(
+        buildCutParts(
+          { font, lines, returnDepthIn: toIn(LETTER_DEPTH), panel },
+          opts
+        ),
+        opts
+      );
+      if (!sheet.parts.length) {
+        alert('Nothing to cut for this design.');
+        return;
+      }
+      const base = projectFileName(S.text).replace(PROJECT_EXT, '-cut');
+      const blob =
+        format === 'dxf'
+          ? new Blob([toDXF(sheet)], { type: 'application/dxf' })
+          : new Blob([toSVG(sheet)], { type: 'image/svg+xml' });
+      downloadBlob(blob, `${base}.${format}`);
+    } catch (err) {
+      console.error(err);
+      alert(`Cut file export failed: ${err.message}`);
+    }
+  };
 
-    const { w, h } = getTextOnlyWorldSize();
-    const pad = S.size * 0.5;
-    const W = (w || 1) + pad * 2;
-    const H = (h || 1) + pad * 2;
-    const src = [
-      { x: -W / 2, y: -H / 2 },
-      { x: +W / 2, y: -H / 2 },
-      { x: +W / 2, y: +H / 2 },
-      { x: -W / 2, y: +H / 2 },
-    ];
+  /* 3D-print models (STL / OBJ) at a chosen scale */
+  const [printOpts, setPrintOpts] = useState(PRINT_DEFAULTS);
+  const [printPerLetter, setPrintPerLetter] = useState(false);
+  const [exportingPrint, setExportingPrint] = useState(false);
+  const setPrintOpt = (patch) => setPrintOpts((o) => ({ ...o, ...patch }));
 
-    const screenToWorld = (pt) => {
-      const planeW = 120;
-      const planeH = planeW * (S.imgH / S.imgW);
-      
-      // Convert screen coordinates to normalized plane coordinates
-      const normalizedX = pt.x / dispW;
-      const normalizedY = pt.y / dispH;
-      
-      // Convert to plane local coordinates accounting for plane dimensions and tilt
-      const sx = (normalizedX - 0.5) * planeW;
-      const sy = (0.5 - normalizedY) * planeH;
-      
-      // Apply inverse tilt transformation to get correct world coordinates
-      const tiltXRad = rad(S.bldTiltX);
-      const tiltYRad = rad(S.bldTiltY);
-      
-      // Simple inverse tilt correction
-      const correctedX = sx / Math.cos(tiltYRad);
-      const correctedY = sy / Math.cos(tiltXRad);
-      
-      return { x: correctedX, y: correctedY };
-    };
+  const handleExportPrint = async (format) => {
+    const layout = signLayout;
+    if (!unitsPerInch || !layout) {
+      alert('Calibrate the scale first so the model prints at true scale.');
+      return;
+    }
+    if (exportingPrint) return;
+    setExportingPrint(true);
+    try {
+      // scene units → millimetres on the printer bed
+      const mmPerUnit =
+        ((S.signScale / unitsPerInch) * 25.4) / printOpts.scaleDenominator;
+      const items = [];
+      if (lettersVisible) {
+        const font = await loadFont(S.fontUrl);
+        const texts = (S.text || DEFAULT_TEXT).split('\n');
+        layout.rows.forEach((r, i) => {
+          if (!r) return;
+          const toMm = (ring) =>
+            ring.map((p) => {
+              const q = r.toSign(p.x, p.y);
+              return new THREE.Vector2(q.x * mmPerUnit, q.y * mmPerUnit);
+            });
+          lineGlyphs(font, texts[i], S.size, 1, { watertight: true }).forEach(
+            (g, k) =>
+              items.push({
+                name: `line${i + 1}-${k + 1}${/\w/.test(g.char) ? `-${g.char}` : ''}`,
+                depthMm: LETTER_DEPTH * r.scl * mmPerUnit,
+                contours: g.contours.map(({ outer, holes }) => ({
+                  outer: toMm(outer),
+                  holes: holes.map(toMm),
+                })),
+              })
+          );
+        });
+      }
+      if (S.logoFile && /\.svg$/i.test(S.logoFile.name || '')) {
+        const t = S.logoTransform;
+        const c = Math.cos(t.rot || 0);
+        const sn = Math.sin(t.rot || 0);
+        const scl = t.scl || 1;
+        const contours = await loadSvgContours(
+          logoURL,
+          S.logoBaseWidth || logoDefaultWidth
+        );
+        const toMm = (ring) =>
+          ring.map(
+            (p) =>
+              new THREE.Vector2(
+                (t.x + (p.x * c - p.y * sn) * scl) * mmPerUnit,
+                (t.y + (p.x * sn + p.y * c) * scl) * mmPerUnit
+              )
+          );
+        items.push({
+          name: 'logo',
+          depthMm: 0.15 * scl * mmPerUnit,
+          contours: contours.map(({ outer, holes }) => ({
+            outer: toMm(outer),
+            holes: holes.map(toMm),
+          })),
+        });
+      }
+      const meshes = buildPrintMeshes(items, printOpts);
+      if (!meshes.length) {
+        alert('Nothing to print for this design.');
+        return;
+      }
+      const toBlob = format === 'stl' ? meshesToSTL : meshesToOBJ;
+      const base = projectFileName(S.text).replace(
+        PROJECT_EXT,
+        `-1to${printOpts.scaleDenominator}`
+      );
+      if (printPerLetter) {
+        const files = [];
+        for (const m of meshes)
+          files.push({
+            name: `${base}-${m.name}.${format}`,
+            blob: await toBlob([centered(m)]),
+          });
+        downloadBlob(await zipFiles(files), `${base}-parts.zip`);
+      } else {
+        downloadBlob(await toBlob(meshes), `${base}.${format}`);
+      }
+    } catch (err) {
+      console.error(err);
+      alert(`Print export failed: ${err.message}`);
+    } finally {
+      setExportingPrint(false);
+    }
+  };
 
-    const tgt = [tl, tr, br, bl].map(screenToWorld);
-    const aff = solveAffine(src, tgt);
-    const { position, rotationZ, scale } = decomposeAffineToTRS(aff);
-    set({
-      signTX: position.x,
-      signTY: position.y,
-      signRZ: rotationZ,
-      signScale: Math.max(0.05, (scale.x + scale.y) / 2 || 1),
-      fitMode: false,
-      fitPoints: [],
-    });
+  /* 3D model (GLB) of the sign group in the foreground canvas */
+  const signGroupRef = useRef();
+  const [exportingModel, setExportingModel] = useState(false);
+
+  const handleExportModel = async () => {
+    if (!signGroupRef.current || exportingModel) return;
+    setExportingModel(true);
+    try {
+      const blob = await exportSignGLB(signGroupRef.current, {
+        unitsPerInch,
+        signScale: S.signScale,
+        name: (S.text || DEFAULT_TEXT).replace(/\s+/g, ' ').trim(),
+      });
+      downloadBlob(blob, projectFileName(S.text).replace(PROJECT_EXT, '.glb'));
+    } catch (err) {
+      console.error(err);
+      alert(`Model export failed: ${err.message}`);
+    } finally {
+      setExportingModel(false);
+    }
   };
 
   // Arrow keys move Logo when Logo tool
@@ -1177,6 +3445,833 @@ export default function App() {
     return () => window.removeEventListener('keydown', onKey);
   }, [S.activeTool, S.logoTransform, S.signType, panelBounds, lettersBounds]);
 
+  /* Occlusion masks: photo pixels drawn back over the sign layers */
+  const [maskTool, setMaskTool] = useState(null); // MASK_TOOLS key while editing
+  const [brushRadius, setBrushRadius] = useState(0.01); // of the photo width
+
+  const occlusionTexture = useMemo(() => {
+    if (!S.occlusionMasks?.some((m) => !m.rough)) return null;
+    return new THREE.CanvasTexture(
+      rasterizeMasks(S.occlusionMasks, { width: S.imgW, height: S.imgH })
+    );
+  }, [S.occlusionMasks, S.imgW, S.imgH]);
+  useEffect(() => () => occlusionTexture?.dispose(), [occlusionTexture]);
+
+  const maskToScreen = (uv) => {
+    const q = photoToScreen(uv);
+    return { x: q.x * dispW, y: q.y * dispH };
+  };
+
+  /* Detect occluders (COCO-SSD in a worker, kept alive to reuse the model) */
+  const detectWorkerRef = useRef(null);
+  const [detectBusy, setDetectBusy] = useState(false);
+  const [detections, setDetections] = useState(null);
+
+  useEffect(() => setDetections(null), [S.file]);
+  useEffect(() => () => detectWorkerRef.current?.terminate(), []);
+
+  const detectOccluders = async () => {
+    if (!imgURL || detectBusy) return;
+    setDetectBusy(true);
+    try {
+      const image = imageDataFromImage(await loadImage(imgURL), 640);
+      if (!detectWorkerRef.current)
+        detectWorkerRef.current = new Worker(
+          new URL('./objectDetection.worker.js', import.meta.url),
+          { type: 'module' }
+        );
+      const worker = detectWorkerRef.current;
+      const result = await new Promise((resolve, reject) => {
+        worker.onmessage = (e) =>
+          e.data?.type === 'error'
+            ? reject(new Error(e.data.message))
+            : resolve(e.data);
+        worker.onerror = (e) => reject(new Error(e.message || 'Worker error'));
+        worker.postMessage(
+          {
+            type: 'detect',
+            modelUrl: new URL(
+              `${import.meta.env.BASE_URL}models/coco-ssd/model.json`,
+              window.location.href
+            ).href,
+            classes: Object.keys(OCCLUDER_CLASSES),
+            image: {
+              width: image.width,
+              height: image.height,
+              data: image.data,
+            },
+          },
+          [image.data.buffer]
+        );
+      });
+      setDetections(
+        result.detections.map((d) => ({ ...d, id: newMaskId(), maskId: null }))
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Object detection failed: ${err.message}`);
+    } finally {
+      setDetectBusy(false);
+    }
+  };
+
+  // The sign's bounds as a box in photo uv, to flag detections in front of it.
+  const signPhotoBox = (() => {
+    const layout = imgURL && signLayout;
+    if (!layout || layout.bounds.isEmpty()) return null;
+    const { min, max } = layout.bounds;
+    const uvs = [
+      [min.x, min.y],
+      [max.x, min.y],
+      [max.x, max.y],
+      [min.x, max.y],
+    ]
+      .map(([x, y]) => screenToPhoto(wallToPreview({ x, y })))
+      .filter(Boolean);
+    if (uvs.length < 4) return null;
+    return {
+      u0: Math.min(...uvs.map((p) => p.u)),
+      v0: Math.min(...uvs.map((p) => p.v)),
+      u1: Math.max(...uvs.map((p) => p.u)),
+      v1: Math.max(...uvs.map((p) => p.v)),
+    };
+  })();
+  const overlapsSign = (d) =>
+    !!signPhotoBox && boxesOverlap(d.box, signPhotoBox);
+
+  // rough boxes to refine with the Polygon tool (see occlusion.js)
+  const outlineDetections = (list) => {
+    const masks = list.map((d) => ({
+      ...boxMask(d.box),
+      label: d.label,
+      rough: true,
+    }));
+    setS((s) => ({ ...s, occlusionMasks: [...s.occlusionMasks, ...masks] }));
+    const ids = new Map(list.map((d, i) => [d.id, masks[i].id]));
+    setDetections((ds) =>
+      ds.map((d) => (ids.has(d.id) ? { ...d, maskId: ids.get(d.id) } : d))
+    );
+    setRetouchTool(null);
+    setMaskTool('polygon');
+  };
+
+  /* Retouch: remove old signage from a working copy of the photo */
+  const [retouchTool, setRetouchTool] = useState(null); // RETOUCH_TOOLS key
+  const [retouchRadius, setRetouchRadius] = useState(0.02);
+  const [cloneSource, setCloneSource] = useState(null); // photo uv
+  const [retouchBusy, setRetouchBusy] = useState(false);
+  // earlier working copies for "Undo retouch" (null = the original)
+  const [retouchUndo, setRetouchUndo] = useState([]);
+  const inpaintWorkerRef = useRef(null);
+
+  useEffect(() => {
+    setRetouchUndo([]);
+    setCloneSource(null);
+  }, [S.file]);
+  useEffect(() => () => inpaintWorkerRef.current?.terminate(), []);
+
+  const runInpaint = (image, mask) => {
+    if (!inpaintWorkerRef.current)
+      inpaintWorkerRef.current = new Worker(
+        new URL('./inpaint.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+    const worker = inpaintWorkerRef.current;
+    return new Promise((resolve, reject) => {
+      worker.onmessage = (e) =>
+        e.data?.type === 'error'
+          ? reject(new Error(e.data.message))
+          : resolve(e.data.offsets);
+      worker.onerror = (e) => reject(new Error(e.message || 'Worker error'));
+      worker.postMessage(
+        {
+          type: 'inpaint',
+          image: { width: image.width, height: image.height, data: image.data },
+          mask,
+        },
+        [image.data.buffer, mask.buffer]
+      );
+    });
+  };
+
+  const applyRetouch = async (edit) => {
+    if (!imgURL || retouchBusy) return;
+    setRetouchBusy(true);
+    try {
+      const blob = await retouchPhoto(imgURL, edit, { inpaint: runInpaint });
+      if (!blob) return;
+      const base = (S.file?.name || 'photo').replace(/\.[^.]+$/, '');
+      setRetouchUndo((u) => [...u.slice(-9), S.retouchedFile ?? null]);
+      set({
+        retouchedFile: new File([blob], `${base}-retouched.png`, {
+          type: 'image/png',
+        }),
+      });
+    } catch (err) {
+      console.error(err);
+      alert(`Retouch failed: ${err.message}`);
+    } finally {
+      setRetouchBusy(false);
+    }
+  };
+
+  const undoRetouch = () => {
+    set({ retouchedFile: retouchUndo[retouchUndo.length - 1] });
+    setRetouchUndo((u) => u.slice(0, -1));
+  };
+  const revertRetouch = () => {
+    setRetouchUndo((u) => [...u.slice(-9), S.retouchedFile]);
+    set({ retouchedFile: null });
+  };
+
+  /* Export (re-render all canvases at a higher dpr, then flatten) */
+  const bgCanvasRef = useRef();
+  const haloCanvasRef = useRef();
+  const fgCanvasRef = useRef();
+  const occluderCanvasRef = useRef();
+  const [capture, setCapture] = useState(null); // { dpr, timeOfDay? } while exporting
+  const captureDoneRef = useRef(null);
+  const [exportScale, setExportScale] = useState(1);
+  const [exportFormat, setExportFormat] = useState('png');
+  const [exporting, setExporting] = useState(false);
+  const captureQueueRef = useRef(Promise.resolve());
+  const [capturesQueued, setCapturesQueued] = useState(0);
+  const capturing = capturesQueued > 0; // any capture running or waiting
+
+  // Lighting follows the sun for the site, date and clock time, unless a
+  // capture forces day or night (proposal renders, the sweep).
+  // the site zone's offset on that date, so daylight saving follows it
+  const sunUtcOffset = useMemo(
+    () => zoneUtcOffset(S.siteTimeZone, S.sunDate, S.sunTime),
+    [S.siteTimeZone, S.sunDate, S.sunTime]
+  );
+  const sun = useMemo(
+    () =>
+      sunOnFacade(
+        sunPosition(
+          siteTime(S.sunDate, S.sunTime, sunUtcOffset),
+          S.siteLat,
+          S.siteLon
+        ),
+        S.facadeBearing
+      ),
+    [S.sunDate, S.sunTime, sunUtcOffset, S.siteLat, S.siteLon, S.facadeBearing]
+  );
+  const timeOfDay = capture?.timeOfDay ?? sun.timeOfDay;
+  const ambientI = THREE.MathUtils.lerp(0.35, 0.06, timeOfDay);
+  // direct light: strongest with the sun on the facade, skylight in its shade
+  const dirI = THREE.MathUtils.lerp(
+    0.22,
+    0.75,
+    (1 - timeOfDay) * (0.5 + 0.5 * sun.onFacade)
+  );
+  const envPreset =
+    timeOfDay > 0.6 ? 'night' : timeOfDay > 0.1 ? 'sunset' : 'city';
+  // towards the sun in the wall's frame (x right, y up, z out of the wall),
+  // kept in front of the wall and off the zenith
+  const sunDir = (() => {
+    const az = rad(Math.max(-85, Math.min(85, sun.azimuth)));
+    const alt = rad(Math.max(2, Math.min(85, sun.altitude)));
+    return new THREE.Vector3(
+      Math.cos(alt) * Math.sin(az),
+      Math.sin(alt),
+      Math.cos(alt) * Math.cos(az)
+    );
+  })();
+
+  // Wall shadows: the sun direction in the sign's frame (undoing the
+  // sign's own rotation on the wall), the wall at the back of the deepest
+  // part and the front the shadow is thrown from; they fade with the sun
+  // leaving the facade and by night.
+  const shadowStrength = (1 - timeOfDay) * sun.onFacade;
+  const shadowBounds =
+    S.shadowsOn && shadowStrength > 0 ? signLayout?.bounds : null;
+  const shadowProps = (() => {
+    if (!shadowBounds || shadowBounds.isEmpty()) return null;
+    const c = Math.cos(-S.signRZ);
+    const sn = Math.sin(-S.signRZ);
+    const racewayReach =
+      LETTER_DEPTH / 2 +
+      Math.max(LETTER_DEPTH * 0.4, 0.5) +
+      Math.max(0.5, 0.02 * S.size);
+    const racewayBehind = S.showRaceway && S.racewayZOrder !== 'front';
+    return {
+      direction: new THREE.Vector3(
+        sunDir.x * c - sunDir.y * sn,
+        sunDir.x * sn + sunDir.y * c,
+        sunDir.z
+      ),
+      bounds: shadowBounds,
+      wallZ: Math.min(
+        -LETTER_DEPTH / 2,
+        racewayBehind ? -racewayReach : 0,
+        S.signType === 'pan' && S.showPanel ? -S.panelDepth - 0.1 : 0
+      ),
+      front:
+        S.showRaceway && !racewayBehind
+          ? racewayReach
+          : LETTER_DEPTH / 2 + standoffUnits,
+      scale: S.signScale,
+      softness: S.shadowSoftness,
+      opacity: S.shadowOpacity * shadowStrength,
+    };
+  })();
+
+  useEffect(() => {
+    if (!capture) return;
+    let alive = true;
+    // let r3f resize and draw a few frames at the new pixel ratio
+    nextFrames(4).then(() => alive && captureDoneRef.current?.());
+    return () => {
+      alive = false;
+    };
+  }, [capture]);
+
+  const dimsSvgRef = useRef();
+
+  // Flattens whatever the canvases currently hold, cropped to the photo
+  // unless `full`. `overlays` are extra image layers drawn on top (e.g.
+  // dimensions).
+  const compositePreview = (width, { overlays = [], full = false } = {}) => {
+    const frac = full ? 1 : photoFrac;
+    const off = (1 - frac) / 2;
+    return compositeLayers(
+      [
+        { source: bgCanvasRef.current },
+        S.style === 'halo' && { source: haloCanvasRef.current },
+        { source: fgCanvasRef.current },
+        occlusionTexture && { source: occluderCanvasRef.current },
+        ...overlays,
+      ],
+      {
+        width,
+        height: width * (dispH / dispW),
+        background: '#262626',
+        crop: { x: off, y: off, w: frac, h: frac },
+      }
+    );
+  };
+
+  // Holds the canvases in capture mode (fixed dpr, no gizmos) while `fn`
+  // grabs frames; `step(patch)` re-renders with new capture settings.
+  // Captures queue up and run one at a time, so none can take over another's
+  // frame-done callback.
+  const withCapture = (settings, fn) => {
+    const run = async () => {
+      const step = (patch) =>
+        new Promise((resolve) => {
+          captureDoneRef.current = resolve;
+          setCapture((c) => ({ ...c, ...patch }));
+        });
+      try {
+        await step(settings);
+        return await fn(step);
+      } finally {
+        captureDoneRef.current = null;
+        setCapture(null);
+      }
+    };
+    setCapturesQueued((n) => n + 1);
+    const job = captureQueueRef.current
+      .then(run)
+      .finally(() => setCapturesQueued((n) => n - 1));
+    captureQueueRef.current = job.catch(() => {});
+    return job;
+  };
+
+  // dpr at which the photo area renders `width` px wide
+  const dprForWidth = (width) =>
+    Math.min(
+      width / (photoFrac * dispW),
+      MAX_EXPORT_SIDE / Math.max(dispW, dispH)
+    );
+
+  const renderMockup = ({
+    multiplier = 1,
+    timeOfDay: tod = sun.timeOfDay,
+    dimensions = S.showDimensions,
+  } = {}) => {
+    const dpr = dprForWidth(S.imgW * multiplier);
+    return withCapture({ dpr, timeOfDay: tod }, async () => {
+      const dims =
+        dimensions && dimsSvgRef.current
+          ? await svgToImage(dimsSvgRef.current, dpr)
+          : null;
+      return compositePreview(dispW * photoFrac * dpr, {
+        overlays: [dims && { source: dims }],
+      });
+    });
+  };
+
+  const handleExportImage = async () => {
+    if (capturing) return;
+    setExporting(true);
+    try {
+      const fmt = EXPORT_FORMATS[exportFormat];
+      const out = await renderMockup({ multiplier: exportScale });
+      const blob = await canvasToBlob(out, fmt.mime);
+      downloadBlob(blob, `sign-mockup-${out.width}x${out.height}.${fmt.ext}`);
+    } catch (err) {
+      console.error(err);
+      alert(`Export failed: ${err.message}`);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  /* Day / night comparison: two full-viewport snapshots split by a divider */
+  const [compareSplit, setCompareSplit] = useState(null); // 0…1, null = off
+  const [compareShots, setCompareShots] = useState(null); // { day, night } URLs
+  const compareOn = compareSplit !== null;
+  const compareJobRef = useRef(Promise.resolve());
+  const compareShootRef = useRef(null);
+
+  compareShootRef.current = () => {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const shot = () =>
+      compositePreview(dispW * dpr, { full: true }).toDataURL(
+        'image/jpeg',
+        0.9
+      );
+    return withCapture({ dpr, timeOfDay: 0 }, async (step) => {
+      const day = shot();
+      await step({ timeOfDay: 1 });
+      return { day, night: shot() };
+    });
+  };
+
+  // what the shots show; editor-only edits don't call for a re-shoot
+  const compareKey = compareOn
+    ? JSON.stringify(
+        Object.entries(S).filter(
+          ([k]) => !EDITOR_ONLY_FIELDS.includes(k) && !FILE_FIELDS.includes(k)
+        )
+      )
+    : null;
+
+  useEffect(() => {
+    if (compareKey === null) {
+      setCompareShots(null);
+      return;
+    }
+    let alive = true;
+    // re-shoot once edits settle, one shoot at a time; a failed shoot is
+    // logged and the next edit tries again
+    const timer = setTimeout(() => {
+      compareJobRef.current = compareJobRef.current
+        .then(async () => {
+          if (!alive) return;
+          const shots = await compareShootRef.current();
+          if (alive) setCompareShots(shots);
+        })
+        .catch((err) => console.warn('Day / night compare failed', err));
+    }, 400);
+    return () => {
+      alive = false;
+      clearTimeout(timer);
+    };
+  }, [compareKey, dispW, dispH, imgURL, logoURL]);
+
+  const dragCompare = (e) => {
+    const box = e.currentTarget.parentElement.getBoundingClientRect();
+    setCompareSplit(
+      THREE.MathUtils.clamp((e.clientX - box.left) / box.width, 0, 1)
+    );
+  };
+
+  /* Animated day → night sweep (WebM / GIF) */
+  const [sweeping, setSweeping] = useState(null); // progress 0…1 while busy
+
+  const handleExportSweep = async (format) => {
+    if (capturing) return;
+    setSweeping(0);
+    try {
+      const opts = SWEEP_DEFAULTS;
+      const width = Math.min(
+        S.imgW,
+        format === 'gif' ? opts.gifWidth : opts.webmWidth
+      );
+      const dpr = dprForWidth(width);
+      const times = sweepTimes(opts);
+      const frames = await withCapture({ dpr, timeOfDay: 0 }, async (step) => {
+        const out = [];
+        for (const [i, t] of times.entries()) {
+          if (i) await step({ timeOfDay: t });
+          out.push(compositePreview(width));
+          setSweeping((i + 1) / times.length);
+        }
+        return out;
+      });
+      const blob =
+        format === 'gif'
+          ? encodeGIF(frames, opts)
+          : await encodeWebM(frames, opts);
+      downloadBlob(
+        blob,
+        projectFileName(S.text).replace(
+          PROJECT_EXT,
+          `-day-night.${SWEEP_FORMATS[format].ext}`
+        )
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Animation export failed: ${err.message}`);
+    } finally {
+      setSweeping(null);
+    }
+  };
+
+  const gizmoTool =
+    capture || compareOn || maskTool || retouchTool ? 'none' : S.activeTool;
+
+  /* Client proposal (PDF) */
+  const [exportingProposal, setExportingProposal] = useState(false);
+
+  // Front elevation in sign units: panel, raceways, letter outlines, logo.
+  const proposalElevation = async () => {
+    const layout = signLayout;
+    if (!layout) return null;
+    const rect = (w, h, map) =>
+      [
+        [-w / 2, -h / 2],
+        [w / 2, -h / 2],
+        [w / 2, h / 2],
+        [-w / 2, h / 2],
+      ].map(([x, y]) => map(x, y));
+    const shapes = [];
+    if (S.signType === 'pan' && S.showPanel) {
+      const { W, H } = signRect;
+      shapes.push({
+        rings: [rect(W, H, (x, y) => ({ x, y }))],
+        fill: S.panelColor,
+      });
+    }
+    const font = lettersVisible ? await loadFont(S.fontUrl) : null;
+    const texts = (S.text || DEFAULT_TEXT).split('\n');
+    layout.rows.forEach((r, i) => {
+      if (!r) return;
+      if (S.showRaceway && S.perLineRaceway) {
+        const dy = S.racewayYOffsetUnits || 0;
+        shapes.push({
+          rings: [rect(r.rw, r.rh, (x, y) => r.toSign(x, y + dy))],
+          fill: S.racewayColor,
+        });
+      }
+      if (!font) return;
+      const rings = lineGlyphs(font, texts[i], S.size).flatMap((g) =>
+        g.contours.flatMap(({ outer, holes }) =>
+          [outer, ...holes].map((ring) => ring.map((p) => r.toSign(p.x, p.y)))
+        )
+      );
+      shapes.push({ rings, fill: S.faceColor, stroke: S.trimColor });
+    });
+    let logo = null;
+    if (S.logoFile && logoURL) {
+      const t = S.logoTransform;
+      const w = (S.logoBaseWidth || logoDefaultWidth) * (t.scl || 1);
+      logo = {
+        image: await loadImage(logoURL),
+        x: t.x,
+        y: t.y,
+        w,
+        h: w / logoAspect,
+        rot: t.rot || 0,
+      };
+    }
+    return drawElevation({
+      shapes,
+      dims: signDimensions({ elevation: true }),
+      logo,
+    });
+  };
+
+  const handleExportProposal = async () => {
+    if (!imgURL) {
+      alert('Add a building photo first.');
+      return;
+    }
+    if (capturing) return;
+    setExportingProposal(true);
+    try {
+      const multiplier = Math.min(1, 2400 / (S.imgW || 2400));
+      const day = await renderMockup({
+        multiplier,
+        timeOfDay: 0,
+        dimensions: false,
+      });
+      const night = await renderMockup({
+        multiplier,
+        timeOfDay: 1,
+        dimensions: false,
+      });
+      const elevation = await proposalElevation();
+
+      const layout = signLayout;
+      const texts = (S.text || DEFAULT_TEXT).split('\n');
+      const sizeNotes = [];
+      if (layout && !layout.bounds.isEmpty()) {
+        const { min, max } = layout.bounds;
+        sizeNotes.push(
+          `Overall: ${fmtLen((max.x - min.x) * S.signScale)} wide × ${fmtLen(
+            (max.y - min.y) * S.signScale
+          )} high`
+        );
+        if (lettersVisible && fontMetrics)
+          layout.rows.forEach(
+            (r, i) =>
+              r &&
+              sizeNotes.push(
+                `Line ${i + 1} “${texts[i].trim()}”: ${fmtLen(
+                  fontMetrics.cap * r.scl * S.signScale
+                )} cap height`
+              )
+          );
+      }
+      if (!unitsPerInch)
+        sizeNotes.push(
+          'Dimensions are in scene units until the scale is calibrated.'
+        );
+
+      const fontName = Object.entries(FONT_OPTIONS).find(
+        ([, url]) => url === S.fontUrl
+      )?.[0];
+      const specs = [
+        {
+          label: 'Sign type',
+          value: S.signType === 'pan' ? 'Pan sign' : 'Channel letters',
+        },
+        {
+          label: 'Lighting',
+          value: LIGHTING_STYLES.find((l) => l.key === S.style)?.label ?? '—',
+        },
+        lettersVisible && {
+          label: 'Letters',
+          value: `${texts.map((t) => t.trim()).join(' / ')} (${
+            fontName?.replace('_', ' ') ?? 'custom font'
+          })`,
+        },
+        S.showRaceway && { label: 'Raceway', value: 'Yes' },
+      ].filter(Boolean);
+      const callouts = [
+        lettersVisible && { label: 'Letter faces', color: S.faceColor },
+        lettersVisible && { label: 'Trim cap / returns', color: S.trimColor },
+        S.showRaceway && { label: 'Raceway', color: S.racewayColor },
+        S.signType === 'pan' &&
+          S.showPanel && { label: 'Panel', color: S.panelColor },
+        S.style === 'halo' && { label: 'Halo', color: S.haloColor },
+      ].filter(Boolean);
+      const inputs = quoteInputs();
+      const info = S.proposal || {};
+      const blob = await buildProposalPdf({
+        info,
+        title:
+          info.site || info.customer || texts.join(' ').trim() || 'Sign mockup',
+        day,
+        night,
+        elevation,
+        sizeNotes,
+        specs,
+        callouts,
+        quote: inputs ? quoteDesign(inputs, pricing) : null,
+      });
+      downloadBlob(
+        blob,
+        projectFileName(S.text).replace(PROJECT_EXT, '-proposal.pdf')
+      );
+    } catch (err) {
+      console.error(err);
+      alert(`Proposal export failed: ${err.message}`);
+    } finally {
+      setExportingProposal(false);
+    }
+  };
+
+  /* Project save / open */
+  const loadDesign = (state, files) => {
+    setS({
+      ...defaultDesign(),
+      ...state,
+      ...Object.fromEntries(FILE_FIELDS.map((k) => [k, files?.[k] ?? null])),
+      fitMode: false,
+    });
+    // undo shouldn't step back into the previous design
+    resetHistory();
+  };
+
+  const handleSaveProject = async () => {
+    try {
+      const files = filesOf(S);
+      files.retouchedFile = await retouchForSave(
+        files.retouchedFile,
+        S.file?.type
+      );
+      const blob = await serializeProject(snapshotWithoutFiles(S), files);
+      downloadBlob(blob, projectFileName(S.text));
+    } catch (err) {
+      console.error(err);
+      alert(`Save failed: ${err.message}`);
+    }
+  };
+
+  const handleOpenProject = async (file) => {
+    if (!file) return;
+    try {
+      const { state, files } = await parseProject(file);
+      loadDesign(state, files);
+    } catch (err) {
+      console.error(err);
+      alert(`Could not open project: ${err.message}`);
+    }
+  };
+
+  /* Auto-detect wall orientation (vanishing points, in a worker) */
+  const [vpBusy, setVpBusy] = useState(false);
+  const [vpResult, setVpResult] = useState(null);
+
+  const detectWallOrientation = async () => {
+    if (!imgURL || vpBusy) return;
+    setVpBusy(true);
+    let worker;
+    try {
+      const image = imageDataFromImage(await loadImage(imgURL), 800);
+      worker = new Worker(
+        new URL('./vanishingPoints.worker.js', import.meta.url),
+        { type: 'module' }
+      );
+      const result = await new Promise((resolve, reject) => {
+        worker.onmessage = (e) =>
+          e.data?.type === 'error'
+            ? reject(new Error(e.data.message))
+            : resolve(e.data);
+        worker.onerror = (e) => reject(new Error(e.message || 'Worker error'));
+        worker.postMessage(
+          {
+            type: 'detect',
+            image: {
+              width: image.width,
+              height: image.height,
+              data: image.data,
+            },
+          },
+          [image.data.buffer]
+        );
+      });
+      const tilt = tiltFromVanishingPoints(
+        result.vertical?.vp,
+        result.horizontal?.vp,
+        S.poseFovDeg || 50
+      );
+      setVpResult({ ...result, tilt });
+    } catch (err) {
+      console.error(err);
+      alert(`Wall detection failed: ${err.message}`);
+    } finally {
+      worker?.terminate();
+      setVpBusy(false);
+    }
+  };
+
+  const applyDetectedTilt = () => {
+    const clampTilt = (v) => Math.max(-60, Math.min(60, Math.round(v)));
+    set({
+      bldTiltX: clampTilt(vpResult.tilt.tiltX),
+      bldTiltY: clampTilt(vpResult.tilt.tiltY),
+    });
+    setVpResult(null);
+  };
+
+  /* Autosave + session recovery */
+  const sessionIdRef = useRef(null);
+  if (!sessionIdRef.current) sessionIdRef.current = newSessionId();
+  const initialSRef = useRef(S);
+  const dirtyRef = useRef(false);
+  const autosaveRef = useRef(null);
+  const savingRef = useRef(Promise.resolve()); // the autosave in flight
+  const [autosaveError, setAutosaveError] = useState(null);
+  const [recovery, setRecovery] = useState(null);
+
+  useEffect(() => {
+    if (S !== initialSRef.current) dirtyRef.current = true;
+  }, [S]);
+
+  autosaveRef.current = async () => {
+    if (!dirtyRef.current || capture) return;
+    dirtyRef.current = false;
+    let thumbnail = null;
+    try {
+      thumbnail = compositePreview(240).toDataURL('image/jpeg', 0.7);
+    } catch {
+      // canvases not ready yet; save without a thumbnail
+    }
+    // edits made while the put runs mark the design dirty again; a failed
+    // put (e.g. storage quota) keeps it dirty so the next tick retries
+    savingRef.current = saveSession({
+      id: sessionIdRef.current,
+      title: (S.text || DEFAULT_TEXT).split('\n')[0],
+      state: snapshotWithoutFiles(S),
+      files: filesOf(S),
+      thumbnail,
+    }).then(
+      () => setAutosaveError(null),
+      (err) => {
+        dirtyRef.current = true;
+        setAutosaveError(err.message || String(err));
+        throw err;
+      }
+    );
+    await savingRef.current;
+    await pruneSessions();
+  };
+
+  useEffect(() => {
+    const save = () =>
+      autosaveRef
+        .current?.()
+        .catch((err) => console.warn('Autosave failed', err));
+    const id = setInterval(save, AUTOSAVE_INTERVAL_MS);
+    const onHide = () => document.visibilityState === 'hidden' && save();
+    document.addEventListener('visibilitychange', onHide);
+    return () => {
+      clearInterval(id);
+      document.removeEventListener('visibilitychange', onHide);
+    };
+  }, []);
+
+  useEffect(() => {
+    let alive = true;
+    listSessions()
+      .then((list) => {
+        const prev = list.filter((s) => s.id !== sessionIdRef.current);
+        if (alive && prev.length) setRecovery(prev);
+      })
+      .catch((err) => console.warn('Session list unavailable', err));
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  // carry on in the restored session's entry; whatever this tab autosaved
+  // so far goes, as its design is replaced (once a save in flight has
+  // landed, so it can't write the entry back)
+  const restoreSession = (session) => {
+    const fresh = sessionIdRef.current;
+    sessionIdRef.current = session.id;
+    if (fresh !== session.id)
+      savingRef.current
+        .catch(() => {})
+        .then(() => deleteSession(fresh))
+        .catch((err) => console.warn(err));
+    loadDesign(session.state, session.files);
+    setRecovery(null);
+  };
+  const discardSession = (session) => {
+    deleteSession(session.id).catch((err) => console.warn(err));
+    setRecovery((list) => {
+      const next = (list || []).filter((s) => s.id !== session.id);
+      return next.length ? next : null;
+    });
+  };
+
   /* Nudge steps */
   const [signStep, setSignStep] = useState(0.5);
   const [lineStep, setLineStep] = useState(0.5);
@@ -1184,6 +4279,12 @@ export default function App() {
 
   return (
     <div className="w-full h-full min-h-[850px] flex flex-col lg:flex-row gap-4 p-4 bg-neutral-950 text-neutral-100">
+      <RecoveryDialog
+        sessions={recovery}
+        onRestore={restoreSession}
+        onDelete={discardSession}
+        onDismiss={() => setRecovery(null)}
+      />
       {/* Sidebar */}
       <div className="lg:w-[720px] w-full bg-neutral-900 rounded-2xl p-4 space-y-4 shadow-xl overflow-y-auto max-h-[95vh]">
         <div className="flex items-center justify-between">
@@ -1295,30 +4396,311 @@ export default function App() {
           />
         </div>
 
+        {/* Project */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Project</div>
+          <div className="text-xs opacity-70">
+            Saves every setting plus the photo and logo in one {PROJECT_EXT}{' '}
+            file.
+          </div>
+          <div className="flex gap-2 mt-2 items-center">
+            <button
+              onClick={handleSaveProject}
+              className="px-3 py-2 rounded bg-blue-600 text-white"
+            >
+              Save Project
+            </button>
+            <label className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700 cursor-pointer">
+              Open Project…
+              <input
+                type="file"
+                accept={`${PROJECT_EXT},application/json`}
+                className="hidden"
+                onChange={(e) => {
+                  handleOpenProject(e.target.files?.[0]);
+                  e.target.value = '';
+                }}
+              />
+            </label>
+          </div>
+          {autosaveError && (
+            <div className="text-xs text-amber-400">
+              Autosave failed ({autosaveError}); retrying. Save the project to
+              keep a copy.
+            </div>
+          )}
+        </div>
+
         {/* Photo */}
         <div className="space-y-2">
           <label className="block text-sm font-medium">Building Photo</label>
           <input
             type="file"
             accept="image/*"
-            onChange={(e) => set({ file: e.target.files?.[0] ?? null })}
+            onChange={(e) =>
+              set({ file: e.target.files?.[0] ?? null, retouchedFile: null })
+            }
             className="w-full text-sm file:mr-3 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-neutral-800 file:text-neutral-100"
           />
         </div>
 
+        {/* Export */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Export Image</div>
+          <div className="text-xs opacity-70">
+            Re-renders every layer at the photo's native size (
+            {Math.round(S.imgW * exportScale)}×
+            {Math.round(S.imgH * exportScale)}) without gizmos.
+          </div>
+          <div className="flex gap-2 mt-2">
+            <select
+              value={exportScale}
+              onChange={(e) => setExportScale(Number(e.target.value))}
+              className="bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-2 text-sm"
+            >
+              {[0.5, 1, 1.5, 2].map((m) => (
+                <option key={m} value={m}>
+                  {m}×
+                </option>
+              ))}
+            </select>
+            <select
+              value={exportFormat}
+              onChange={(e) => setExportFormat(e.target.value)}
+              className="bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-2 text-sm"
+            >
+              {Object.entries(EXPORT_FORMATS).map(([key, f]) => (
+                <option key={key} value={key}>
+                  {f.label}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={handleExportImage}
+              disabled={capturing}
+              className="px-3 py-2 rounded bg-blue-600 text-white"
+            >
+              {exporting ? 'Rendering…' : 'Export Image'}
+            </button>
+          </div>
+        </div>
+
+        {/* Proposal */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Client Proposal</div>
+          <div className="text-xs opacity-70">
+            PDF with day and night mockups, a dimensioned elevation, colours,
+            lighting, the quote and an approval block.
+          </div>
+          {PROPOSAL_FIELDS.map(({ key, label }) => (
+            <label key={key} className="flex items-center gap-2 text-xs">
+              <span className="w-24 shrink-0">{label}</span>
+              <input
+                type="text"
+                value={S.proposal?.[key] ?? ''}
+                onChange={(e) =>
+                  set({ proposal: { ...S.proposal, [key]: e.target.value } })
+                }
+                className="flex-1 bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+              />
+            </label>
+          ))}
+          <button
+            onClick={handleExportProposal}
+            disabled={!imgURL || capturing}
+            className="px-3 py-2 rounded bg-blue-600 text-white"
+          >
+            {exportingProposal ? 'Building PDF…' : 'Export Proposal PDF'}
+          </button>
+        </div>
+
+        {/* 3D model */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">3D Model</div>
+          <div className="text-xs opacity-70">
+            Binary glTF of the letters, raceways, panel and logo with line poses
+            baked in.{' '}
+            {unitsPerInch
+              ? 'Real-world size, in metres.'
+              : 'Uncalibrated: exported in scene units.'}
+          </div>
+          <button
+            onClick={handleExportModel}
+            disabled={exportingModel}
+            className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+          >
+            {exportingModel ? 'Exporting…' : 'Export GLB'}
+          </button>
+        </div>
+
+        {/* Fabrication */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Cut Files</div>
+          <div className="text-xs opacity-70">
+            True-scale letter faces, inset backs, raceway and panel outlines
+            laid out for the router, with return lengths on every face. Needs a
+            calibrated scale.
+          </div>
+          <div className="flex items-center gap-2">
+            <label className="flex items-center gap-2 text-xs">
+              Back inset (in)
+              <input
+                type="number"
+                min="0"
+                step="0.0625"
+                value={cutInsetIn}
+                onChange={(e) =>
+                  setCutInsetIn(Math.max(0, Number(e.target.value) || 0))
+                }
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-20"
+              />
+            </label>
+            <button
+              onClick={() => handleExportCutFile('dxf')}
+              disabled={!unitsPerInch}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+            >
+              DXF
+            </button>
+            <button
+              onClick={() => handleExportCutFile('svg')}
+              disabled={!unitsPerInch}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+            >
+              SVG
+            </button>
+          </div>
+        </div>
+
+        {/* 3D print */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">3D Print</div>
+          <div className="text-xs opacity-70">
+            Watertight letters and SVG logo in millimetres at the chosen print
+            scale. Needs a calibrated scale.
+          </div>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <label className="flex items-center gap-2">
+              Scale
+              <select
+                value={printOpts.scaleDenominator}
+                onChange={(e) =>
+                  setPrintOpt({ scaleDenominator: Number(e.target.value) })
+                }
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+              >
+                {PRINT_SCALES.map((n) => (
+                  <option key={n} value={n}>
+                    1:{n}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={printPerLetter}
+                onChange={(e) => setPrintPerLetter(e.target.checked)}
+              />
+              File per letter (zip)
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={printOpts.hollow}
+                onChange={(e) => setPrintOpt({ hollow: e.target.checked })}
+              />
+              Hollow
+            </label>
+            <label className="flex items-center gap-2">
+              Wall (mm)
+              <input
+                type="number"
+                min="0.4"
+                step="0.2"
+                value={printOpts.wallMm}
+                disabled={!printOpts.hollow}
+                onChange={(e) =>
+                  setPrintOpt({
+                    wallMm: Math.max(0.4, Number(e.target.value) || 0),
+                  })
+                }
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-16"
+              />
+            </label>
+            <label className="flex items-center gap-2">
+              <input
+                type="checkbox"
+                checked={printOpts.pins}
+                onChange={(e) => setPrintOpt({ pins: e.target.checked })}
+              />
+              Pin holes
+            </label>
+            <label className="flex items-center gap-2">
+              Ø (mm)
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={printOpts.pinDiameterMm}
+                disabled={!printOpts.pins}
+                onChange={(e) =>
+                  setPrintOpt({
+                    pinDiameterMm: Math.max(0.5, Number(e.target.value) || 0),
+                  })
+                }
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-16"
+              />
+            </label>
+            <label className="flex items-center gap-2 col-start-2">
+              Depth (mm)
+              <input
+                type="number"
+                min="0.5"
+                step="0.5"
+                value={printOpts.pinDepthMm}
+                disabled={!printOpts.pins || printOpts.hollow}
+                onChange={(e) =>
+                  setPrintOpt({
+                    pinDepthMm: Math.max(0.5, Number(e.target.value) || 0),
+                  })
+                }
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-16"
+              />
+            </label>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => handleExportPrint('stl')}
+              disabled={!unitsPerInch || exportingPrint}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+            >
+              {exportingPrint ? 'Exporting…' : 'STL'}
+            </button>
+            <button
+              onClick={() => handleExportPrint('obj')}
+              disabled={!unitsPerInch || exportingPrint}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+            >
+              OBJ
+            </button>
+          </div>
+        </div>
+
         {/* 4-point fit */}
         <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
           <div className="text-sm font-medium">Plane Snap (4 points)</div>
           <div className="text-xs opacity-70">
-            Click, pick 4 corners (clockwise), Apply. You can still move things
-            after.
+            Click the 4 fascia corners, then drag them to refine (the loupe
+            shows photo pixels; Shift = fine). The sign is warped in perspective
+            live so its corners land on yours.
           </div>
           <div className="flex gap-2 mt-2">
             <button
-              onClick={() => set({ fitMode: true, fitPoints: [] })}
+              onClick={() => set({ fitMode: true })}
               className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
             >
-              Start Picking
+              {S.fitPoints.length ? 'Edit Corners' : 'Start Picking'}
             </button>
             <button
               onClick={applyFourPointFit}
@@ -1334,10 +4716,391 @@ export default function App() {
               Clear
             </button>
           </div>
+          <div className="grid grid-cols-2 gap-2">
+            {[
+              { key: 'warp', label: 'Flat warp' },
+              { key: 'camera', label: '3D camera' },
+            ].map(({ key, label }) => (
+              <button
+                key={key}
+                onClick={() => set({ fitModel: key })}
+                className={`p-2 rounded-lg border text-sm ${
+                  S.fitModel === key
+                    ? 'bg-blue-500 border-blue-400 text-white'
+                    : 'bg-neutral-800 border-neutral-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          {S.fitModel === 'camera' && (
+            <div className="grid grid-cols-2 gap-3">
+              <div>
+                <label className="text-xs opacity-80">
+                  Photo FOV ° (blank = auto)
+                </label>
+                <input
+                  type="number"
+                  min="5"
+                  max="120"
+                  step="1"
+                  value={S.poseFovDeg ?? ''}
+                  placeholder={
+                    S.cameraPose ? S.cameraPose.photoFov.toFixed(1) : 'auto'
+                  }
+                  onChange={(e) =>
+                    set({ poseFovDeg: Number(e.target.value) || null })
+                  }
+                  className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+                />
+              </div>
+              <div>
+                <label className="text-xs opacity-80">
+                  Fascia W:H (blank = auto)
+                </label>
+                <input
+                  type="number"
+                  min="0.1"
+                  step="0.1"
+                  value={S.poseAspect ?? ''}
+                  placeholder={
+                    S.cameraPose ? S.cameraPose.aspect.toFixed(2) : 'auto'
+                  }
+                  onChange={(e) =>
+                    set({ poseAspect: Number(e.target.value) || null })
+                  }
+                  className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+                />
+              </div>
+              <div className="col-span-2 text-xs opacity-70">
+                Solves where the photo was taken from so letter returns and
+                raceways are seen at the right angle.
+                {S.cameraPose &&
+                  ` FOV ${S.cameraPose.photoFov.toFixed(1)}°${
+                    S.cameraPose.focalEstimated ? ' (estimated)' : ''
+                  }, fascia ${S.cameraPose.aspect.toFixed(2)}:1.`}
+              </div>
+            </div>
+          )}
+          {(S.signHomography || S.cameraPose) && (
+            <div className="flex items-center justify-between text-xs">
+              <span className="opacity-70">
+                {S.cameraPose ? 'Camera pose active' : 'Perspective fit active'}
+              </span>
+              <button
+                onClick={() =>
+                  set({
+                    signHomography: null,
+                    cameraPose: null,
+                    fasciaRect: null,
+                  })
+                }
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              >
+                Remove perspective
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Retouch */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Remove Old Signage</div>
+          <div className="text-xs opacity-70">
+            Paint out the existing sign on a working copy of the photo; the
+            original upload is kept.
+          </div>
+          <div className="flex gap-2">
+            {RETOUCH_TOOLS.map(({ key, label }) => (
+              <button
+                key={key}
+                onClick={() => {
+                  setMaskTool(null);
+                  setRetouchTool(retouchTool === key ? null : key);
+                }}
+                disabled={!imgURL}
+                className={`px-3 py-2 rounded border text-sm ${
+                  retouchTool === key
+                    ? 'bg-blue-500 border-blue-400 text-white'
+                    : 'bg-neutral-800 border-neutral-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            {retouchTool && (
+              <button
+                onClick={() => setRetouchTool(null)}
+                className="px-3 py-2 rounded bg-blue-600 text-white text-sm"
+              >
+                Done
+              </button>
+            )}
+          </div>
+          {retouchTool === 'rect' && (
+            <div className="text-xs opacity-70">
+              Drag a box over the old cabinet or letters; it is filled from the
+              wall around it.
+            </div>
+          )}
+          {retouchTool === 'brush' && (
+            <div className="text-xs opacity-70">
+              Paint over what should disappear; it is filled from the wall
+              around it.
+            </div>
+          )}
+          {retouchTool === 'clone' && (
+            <div className="text-xs opacity-70">
+              {cloneSource
+                ? 'Paint to copy from the marked source; Alt-click to move it.'
+                : 'Click a clean patch of wall to copy from, then paint.'}
+            </div>
+          )}
+          {(retouchTool === 'brush' || retouchTool === 'clone') && (
+            <label className="block text-xs">
+              Brush size
+              <input
+                type="range"
+                min="0.002"
+                max="0.08"
+                step="0.002"
+                value={retouchRadius}
+                onChange={(e) => setRetouchRadius(Number(e.target.value))}
+                className="w-full h-2 bg-neutral-800 rounded-lg"
+              />
+            </label>
+          )}
+          {retouchBusy && <div className="text-xs opacity-70">Filling…</div>}
+          {(S.retouchedFile || retouchUndo.length > 0) && (
+            <div className="flex gap-2">
+              <button
+                onClick={undoRetouch}
+                disabled={!retouchUndo.length || retouchBusy}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+              >
+                Undo retouch
+              </button>
+              <button
+                onClick={revertRetouch}
+                disabled={!S.retouchedFile || retouchBusy}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+              >
+                Revert to original
+              </button>
+            </div>
+          )}
+        </div>
+
+        {/* Occlusion masks */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Occlusion Masks</div>
+          <div className="text-xs opacity-70">
+            Outline or paint what stands in front of the wall (branches,
+            lampposts, awnings); the photo is drawn back over the sign there.
+          </div>
+          <div className="flex gap-2">
+            {MASK_TOOLS.map(({ key, label }) => (
+              <button
+                key={key}
+                onClick={() => {
+                  setRetouchTool(null);
+                  setMaskTool(maskTool === key ? null : key);
+                }}
+                disabled={!imgURL}
+                className={`px-3 py-2 rounded border text-sm ${
+                  maskTool === key
+                    ? 'bg-blue-500 border-blue-400 text-white'
+                    : 'bg-neutral-800 border-neutral-700'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+            {maskTool && (
+              <button
+                onClick={() => setMaskTool(null)}
+                className="px-3 py-2 rounded bg-blue-600 text-white text-sm"
+              >
+                Done
+              </button>
+            )}
+          </div>
+          {maskTool === 'polygon' && (
+            <div className="text-xs opacity-70">
+              Click to add corners; click the first corner, double-click or
+              press Enter to close. Esc cancels, Backspace removes the last
+              corner. Drag corners of saved polygons to adjust them.
+            </div>
+          )}
+          {(maskTool === 'brush' || maskTool === 'erase') && (
+            <label className="block text-xs">
+              Brush size
+              <input
+                type="range"
+                min="0.002"
+                max="0.08"
+                step="0.002"
+                value={brushRadius}
+                onChange={(e) => setBrushRadius(Number(e.target.value))}
+                className="w-full h-2 bg-neutral-800 rounded-lg"
+              />
+            </label>
+          )}
+          <div className="flex items-center gap-2">
+            <button
+              onClick={detectOccluders}
+              disabled={!imgURL || detectBusy}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700 text-sm"
+            >
+              {detectBusy ? 'Detecting…' : 'Detect people & vehicles'}
+            </button>
+            <span className="text-xs opacity-70">
+              People, cars, trucks and potted plants.
+            </span>
+          </div>
+          {detections &&
+            (detections.length === 0 ? (
+              <div className="text-xs opacity-70">Nothing found.</div>
+            ) : (
+              <>
+                <ul className="text-xs space-y-1">
+                  {detections.map((d) => {
+                    const masked = S.occlusionMasks.some(
+                      (m) => m.id === d.maskId
+                    );
+                    return (
+                      <li key={d.id} className="flex items-center gap-2">
+                        <span className="flex-1">
+                          {OCCLUDER_CLASSES[d.label]} ·{' '}
+                          {Math.round(d.score * 100)}%
+                          {overlapsSign(d) && (
+                            <span className="text-amber-400">
+                              {' '}
+                              · overlaps the sign
+                            </span>
+                          )}
+                        </span>
+                        <button
+                          onClick={() => outlineDetections([d])}
+                          disabled={masked}
+                          className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700"
+                        >
+                          {masked ? 'Outlined' : 'Outline'}
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+                {detections.some(overlapsSign) && (
+                  <div className="text-xs text-amber-400">
+                    Something detected stands in front of the sign — outline it
+                    or move the sign.
+                  </div>
+                )}
+                <button
+                  onClick={() =>
+                    outlineDetections(
+                      detections.filter(
+                        (d) => !S.occlusionMasks.some((m) => m.id === d.maskId)
+                      )
+                    )
+                  }
+                  disabled={detections.every((d) =>
+                    S.occlusionMasks.some((m) => m.id === d.maskId)
+                  )}
+                  className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+                >
+                  Outline all
+                </button>
+                <div className="text-xs opacity-70">
+                  An outline starts as the detection box (dashed) and hides
+                  nothing yet: drag its corners onto the object, trace it with
+                  the Polygon tool and delete the box, or Use the box as is.
+                </div>
+              </>
+            ))}
+          {S.occlusionMasks.length > 0 && (
+            <>
+              <ul className="text-xs space-y-1">
+                {S.occlusionMasks.map((m, i) => (
+                  <li key={m.id} className="flex items-center gap-2">
+                    <span className="flex-1">
+                      {i + 1}.{' '}
+                      {m.label
+                        ? `${OCCLUDER_CLASSES[m.label] ?? m.label} (${
+                            m.rough ? 'rough box, refine' : 'detected'
+                          })`
+                        : m.type === 'polygon'
+                          ? `Polygon (${m.points.length} corners)`
+                          : m.erase
+                            ? 'Eraser stroke'
+                            : 'Brush stroke'}
+                    </span>
+                    {m.rough && (
+                      <button
+                        onClick={() =>
+                          set({
+                            occlusionMasks: S.occlusionMasks.map((x) =>
+                              x.id === m.id ? { ...x, rough: false } : x
+                            ),
+                          })
+                        }
+                        className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700"
+                        title="Hide the sign behind the whole box"
+                      >
+                        Use
+                      </button>
+                    )}
+                    <button
+                      onClick={() =>
+                        set({
+                          occlusionMasks: S.occlusionMasks.filter(
+                            (x) => x.id !== m.id
+                          ),
+                        })
+                      }
+                      className="px-2 py-0.5 rounded bg-neutral-800 border border-neutral-700"
+                      title="Delete mask"
+                    >
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <button
+                onClick={() => set({ occlusionMasks: [] })}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+              >
+                Clear all
+              </button>
+            </>
+          )}
         </div>
 
         {/* Wall tilt */}
-        <div className="grid grid-cols-2 gap-3">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={detectWallOrientation}
+            disabled={!imgURL || vpBusy || !!S.cameraPose}
+            className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+          >
+            {vpBusy ? 'Detecting…' : 'Auto-detect wall orientation'}
+          </button>
+          <span className="text-xs opacity-70">
+            Finds the facade's vanishing lines and sets Tilt X/Y.
+          </span>
+        </div>
+        {S.cameraPose && (
+          <div className="text-xs opacity-70">
+            Wall tilt is ignored while a camera pose is active.
+          </div>
+        )}
+        <div
+          className={`grid grid-cols-2 gap-3 ${
+            S.cameraPose ? 'opacity-40 pointer-events-none' : ''
+          }`}
+        >
           <div>
             <div className="text-xs opacity-80">Tilt X ({S.bldTiltX}°)</div>
             <input
@@ -1364,6 +5127,318 @@ export default function App() {
           </div>
         </div>
 
+        {/* Real-world scale */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Scale</div>
+          <div className="text-xs opacity-70">
+            Draw a line over something of known length (door width, brick
+            courses, a tape measure) to size the sign in real units.
+          </div>
+          <div className="flex flex-wrap items-center gap-2">
+            <button
+              onClick={() => setCalibrating(true)}
+              disabled={!imgURL}
+              className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+            >
+              {S.calibration ? 'Redraw Reference' : 'Draw Reference Line'}
+            </button>
+            {S.calibration && (
+              <button
+                onClick={() => set({ calibration: null })}
+                className="px-3 py-2 rounded bg-neutral-800 border border-neutral-700"
+              >
+                Clear
+              </button>
+            )}
+            <select
+              value={S.displayUnit}
+              onChange={(e) => set({ displayUnit: e.target.value })}
+              className="bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-2 text-sm"
+            >
+              {Object.keys(LENGTH_UNITS).map((u) => (
+                <option key={u} value={u}>
+                  {LENGTH_UNITS[u].label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div className="text-xs opacity-70">
+            {unitsPerInch
+              ? `Reference ${formatLength(
+                  toInches(S.calibration.length, S.calibration.unit),
+                  S.displayUnit
+                )} · 1 ft = ${(unitsPerInch * 12).toFixed(2)} scene units`
+              : S.calibration
+                ? 'Reference line is off the wall plane; redraw it.'
+                : 'Not calibrated — sizes are shown in scene units.'}
+          </div>
+          <label className="flex items-center gap-2 text-sm">
+            <input
+              type="checkbox"
+              checked={S.showDimensions}
+              onChange={(e) => set({ showDimensions: e.target.checked })}
+            />
+            Show dimensions (included in exports)
+          </label>
+        </div>
+
+        {/* Sign-code compliance */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="text-sm font-medium">Sign Code Check</div>
+          <div className="text-xs opacity-70">{SIGN_CODE.note}</div>
+          <select
+            value={S.complianceZone}
+            onChange={(e) => set({ complianceZone: e.target.value })}
+            className="w-full bg-neutral-800 border border-neutral-700 rounded-lg px-2 py-2 text-sm"
+          >
+            {ZONES.map((z) => (
+              <option key={z.id} value={z.id}>
+                {z.label}
+              </option>
+            ))}
+          </select>
+          <div className="grid grid-cols-2 gap-3">
+            {[
+              ['w', 'Frontage width'],
+              ['h', 'Frontage height'],
+            ].map(([key, label]) => (
+              <div key={key}>
+                <label className="text-xs opacity-80">
+                  {label} ({LENGTH_UNITS[S.displayUnit].label})
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step={LENGTH_UNITS[S.displayUnit].step}
+                  value={
+                    S.frontage[key]
+                      ? Number(
+                          fromInches(S.frontage[key], S.displayUnit).toFixed(3)
+                        )
+                      : ''
+                  }
+                  onChange={(e) =>
+                    set({
+                      frontage: {
+                        ...S.frontage,
+                        [key]:
+                          Number(e.target.value) > 0
+                            ? toInches(Number(e.target.value), S.displayUnit)
+                            : null,
+                      },
+                    })
+                  }
+                  className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+                />
+              </div>
+            ))}
+          </div>
+          {S.style !== 'none' && (
+            <div className="grid grid-cols-2 gap-3">
+              {[
+                ['from', 'Lit from'],
+                ['to', 'Lit until'],
+              ].map(([key, label]) => (
+                <div key={key}>
+                  <label className="text-xs opacity-80">{label}</label>
+                  <input
+                    type="time"
+                    value={S.litHours[key]}
+                    onChange={(e) =>
+                      set({
+                        litHours: { ...S.litHours, [key]: e.target.value },
+                      })
+                    }
+                    className="w-full bg-neutral-800 border border-neutral-700 rounded px-2 py-1"
+                  />
+                </div>
+              ))}
+            </div>
+          )}
+          <ul className="space-y-1">
+            {evaluateCompliance(complianceDesign(), S.complianceZone).map(
+              (r) => (
+                <li key={r.id} className="flex items-start gap-2 text-xs">
+                  <span
+                    className={`shrink-0 w-14 text-center rounded px-1 py-0.5 font-medium ${COMPLIANCE_BADGES[r.status]}`}
+                  >
+                    {r.status.toUpperCase()}
+                  </span>
+                  <span>
+                    <span className="font-medium">{r.label}:</span> {r.message}
+                  </span>
+                </li>
+              )
+            )}
+          </ul>
+        </div>
+
+        {/* Price quote */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <div className="flex items-center justify-between">
+            <div className="text-sm font-medium">Quote</div>
+            <button
+              onClick={() => setEditingRates(!editingRates)}
+              className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+            >
+              {editingRates ? 'Done' : 'Edit Rates'}
+            </button>
+          </div>
+          {editingRates && (
+            <div className="space-y-2">
+              <div className="grid grid-cols-2 gap-x-3 gap-y-1">
+                {PRICING_FIELDS.map(([path, label]) => (
+                  <label
+                    key={path}
+                    className="flex items-center justify-between gap-2 text-xs"
+                  >
+                    <span className="opacity-80">{label}</span>
+                    <input
+                      type="number"
+                      min="0"
+                      step="any"
+                      value={getRate(pricing, path)}
+                      onChange={(e) =>
+                        setPricing(
+                          setRate(pricing, path, Number(e.target.value) || 0)
+                        )
+                      }
+                      className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-20"
+                    />
+                  </label>
+                ))}
+              </div>
+              <button
+                onClick={() => setPricing(DEFAULT_PRICING)}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+              >
+                Reset to defaults
+              </button>
+            </div>
+          )}
+          {(() => {
+            const inputs = quoteInputs();
+            if (!inputs) {
+              return (
+                <div className="text-xs opacity-70">
+                  {unitsPerInch
+                    ? 'Measuring the letters…'
+                    : 'Calibrate the scale to price this design.'}
+                </div>
+              );
+            }
+            const q = quoteDesign(inputs, pricing);
+            return (
+              <table className="w-full text-xs">
+                <tbody>
+                  {q.items.map((it, i) => (
+                    <tr key={i} className="border-b border-neutral-800">
+                      <td className="py-1 pr-2">{it.label}</td>
+                      <td className="py-1 pr-2 text-right opacity-70 whitespace-nowrap">
+                        {it.qty} {it.unit} × {formatMoney(it.rate)}
+                      </td>
+                      <td className="py-1 text-right">
+                        {formatMoney(it.amount)}
+                      </td>
+                    </tr>
+                  ))}
+                  {q.tax > 0 && (
+                    <tr>
+                      <td className="py-1" colSpan={2}>
+                        Tax
+                      </td>
+                      <td className="py-1 text-right">{formatMoney(q.tax)}</td>
+                    </tr>
+                  )}
+                  <tr className="font-medium">
+                    <td className="py-1" colSpan={2}>
+                      Estimated total
+                    </td>
+                    <td className="py-1 text-right">{formatMoney(q.total)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            );
+          })()}
+        </div>
+
+        {/* LED bill of materials */}
+        {isLit && (
+          <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+            <div className="flex items-center justify-between">
+              <div className="text-sm font-medium">LED Modules & Power</div>
+              <button
+                onClick={handleExportBom}
+                disabled={!ledBom}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700 text-xs"
+              >
+                Export CSV
+              </button>
+            </div>
+            {!ledBom ? (
+              <div className="text-xs opacity-70">
+                {unitsPerInch
+                  ? 'Measuring letters…'
+                  : 'Calibrate the scale to size the LEDs.'}
+              </div>
+            ) : (
+              <>
+                <table className="w-full text-xs">
+                  <thead>
+                    <tr className="text-left opacity-70">
+                      <th className="py-1 pr-2 font-normal">Section</th>
+                      <th className="py-1 pr-2 font-normal text-right">
+                        Modules
+                      </th>
+                      <th className="py-1 pr-2 font-normal text-right">
+                        Watts
+                      </th>
+                      <th className="py-1 font-normal">Power supply</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {ledBom.rows.map((r) => (
+                      <tr key={r.name} className="border-t border-neutral-800">
+                        <td className="py-1 pr-2">
+                          {r.name} <span className="opacity-70">{r.text}</span>
+                          <div className="opacity-60">{r.placement}</div>
+                        </td>
+                        <td className="py-1 pr-2 text-right align-top">
+                          {r.modules}
+                        </td>
+                        <td className="py-1 pr-2 text-right align-top">
+                          {r.watts.toFixed(1)}
+                        </td>
+                        <td className="py-1 align-top whitespace-nowrap">
+                          {r.psu.count} × {r.psu.sizeW} W
+                        </td>
+                      </tr>
+                    ))}
+                    <tr className="border-t border-neutral-700 font-medium">
+                      <td className="py-1 pr-2">Total</td>
+                      <td className="py-1 pr-2 text-right">{ledBom.modules}</td>
+                      <td className="py-1 pr-2 text-right">
+                        {ledBom.watts.toFixed(1)}
+                      </td>
+                      <td className="py-1">
+                        {Object.entries(ledBom.supplies)
+                          .map(([w, n]) => `${n} × ${w} W`)
+                          .join(', ')}
+                      </td>
+                    </tr>
+                  </tbody>
+                </table>
+                {ledBom.rows.some((r) => r.narrow.length) && (
+                  <div className="text-xs text-amber-400">
+                    Strokes too narrow for modules (use LED strip):{' '}
+                    {ledBom.rows.flatMap((r) => r.narrow).join(' ')}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+        )}
+
         {/* Sign Type */}
         <div className="space-y-2">
           <label className="block text-sm font-medium">Sign Type</label>
@@ -1399,6 +5474,11 @@ export default function App() {
               Toggle Raceway
             </button>
           </div>
+          {S.showRaceway && unitsPerInch && (
+            <div className="text-xs opacity-70">
+              Raceway height {fmtLen(S.racewayHeightUnits * S.signScale)}
+            </div>
+          )}
           {S.signType === 'pan' && (
             <>
               <label className="flex items-center gap-2 mt-2 text-sm">
@@ -1455,11 +5535,7 @@ export default function App() {
         <div className="space-y-2 border-t border-neutral-800 pt-4">
           <label className="block text-sm font-medium">Lighting Style</label>
           <div className="grid grid-cols-1 gap-2">
-            {[
-              { key: 'front', label: 'Front-lit' },
-              { key: 'halo', label: 'Reverse Halo' },
-              { key: 'none', label: 'Non-lit' },
-            ].map(({ key, label }) => (
+            {LIGHTING_STYLES.map(({ key, label }) => (
               <button
                 key={key}
                 onClick={() => set({ style: key })}
@@ -1559,25 +5635,234 @@ export default function App() {
                 />
               </div>
             </div>
+            <div>
+              <div className="text-sm font-medium">
+                Standoff ({formatLength(S.standoffIn, S.displayUnit)})
+              </div>
+              <input
+                type="range"
+                min="0.5"
+                max="4"
+                step="0.25"
+                value={S.standoffIn}
+                onChange={(e) => set({ standoffIn: Number(e.target.value) })}
+                className="w-full h-2 bg-neutral-800 rounded-lg"
+              />
+            </div>
             <div className="text-xs opacity-70">
               Halo is locked behind letters; “Glow Size” enlarges the backplate;
-              “Halo Spread” widens the bloom.
+              “Halo Spread” widens the bloom. Standoff is the letters’ gap to
+              the wall: a deeper gap spreads the glow wider, and Offset shifts
+              it like an off-axis light.
+              {!unitsPerInch &&
+                ` Until the scale is calibrated, letters are taken as ${ASSUMED_LETTER_IN}″ tall.`}
             </div>
           </div>
         )}
 
-        {/* Time of Day */}
+        {/* Sun / time of day */}
         <div className="space-y-2">
-          <label className="text-sm font-medium">Time of Day</label>
+          <label className="text-sm font-medium">Sun &amp; Time of Day</label>
+          <div className="grid grid-cols-2 gap-2 text-xs">
+            <label className="block">
+              Latitude
+              <input
+                type="number"
+                min="-90"
+                max="90"
+                step="0.0001"
+                value={S.siteLat}
+                onChange={(e) =>
+                  set({
+                    siteLat: Math.max(
+                      -90,
+                      Math.min(90, Number(e.target.value))
+                    ),
+                  })
+                }
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              />
+            </label>
+            <label className="block">
+              Longitude
+              <input
+                type="number"
+                min="-180"
+                max="180"
+                step="0.0001"
+                value={S.siteLon}
+                onChange={(e) =>
+                  set({
+                    siteLon: Math.max(
+                      -180,
+                      Math.min(180, Number(e.target.value))
+                    ),
+                  })
+                }
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              />
+            </label>
+            <label className="block">
+              Facade faces ({COMPASS[Math.round(S.facadeBearing / 45) % 8]})
+              <input
+                type="number"
+                min="0"
+                max="359"
+                step="1"
+                value={S.facadeBearing}
+                onChange={(e) =>
+                  set({
+                    facadeBearing:
+                      ((Math.round(Number(e.target.value)) % 360) + 360) % 360,
+                  })
+                }
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              />
+            </label>
+            <label className="block">
+              Time zone ({formatUtcOffset(sunUtcOffset)})
+              <select
+                value={S.siteTimeZone}
+                onChange={(e) => set({ siteTimeZone: e.target.value })}
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              >
+                {(TIME_ZONES.includes(S.siteTimeZone)
+                  ? TIME_ZONES
+                  : [S.siteTimeZone, ...TIME_ZONES]
+                ).map((z) => (
+                  <option key={z} value={z}>
+                    {z.replace(/_/g, ' ')}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="block">
+              Date
+              <input
+                type="date"
+                value={S.sunDate}
+                onChange={(e) =>
+                  e.target.value && set({ sunDate: e.target.value })
+                }
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              />
+            </label>
+            <label className="block">
+              Time
+              <input
+                type="time"
+                value={S.sunTime}
+                onChange={(e) =>
+                  e.target.value && set({ sunTime: e.target.value })
+                }
+                className="w-full px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              />
+            </label>
+          </div>
           <input
             type="range"
             min="0"
-            max="1"
-            step="0.01"
-            value={S.timeOfDay}
-            onChange={(e) => set({ timeOfDay: Number(e.target.value) })}
+            max="1435"
+            step="5"
+            value={(() => {
+              const [h, m] = S.sunTime.split(':').map(Number);
+              return h * 60 + m;
+            })()}
+            onChange={(e) => {
+              const m = Number(e.target.value);
+              set({
+                sunTime: `${String(Math.floor(m / 60)).padStart(2, '0')}:${String(m % 60).padStart(2, '0')}`,
+              });
+            }}
             className="w-full h-2 bg-neutral-800 rounded-lg"
           />
+          <div className="text-xs opacity-70">
+            {`${S.sunTime} ${S.siteTimeZone.replace(/_/g, ' ')} (${formatUtcOffset(sunUtcOffset)})`}{' '}
+            · {SUN_PHASES[sun.phase]} · sun {Math.round(sun.altitude)}° high
+            {sun.onFacade > 0
+              ? `, ${Math.abs(Math.round(sun.azimuth))}° ${
+                  sun.azimuth >= 0 ? 'right' : 'left'
+                } of the facade`
+              : sun.altitude > 0
+                ? ', behind the building'
+                : ''}
+          </div>
+          <button
+            onClick={() => setCompareSplit(compareOn ? null : 0.5)}
+            disabled={!compareOn && capturing}
+            className={`w-full px-3 py-2 rounded border text-sm ${
+              compareOn
+                ? 'bg-blue-500 border-blue-400 text-white'
+                : 'bg-neutral-800 border-neutral-700'
+            }`}
+          >
+            {compareOn ? 'Exit day / night compare' : 'Compare day / night'}
+          </button>
+          <div className="flex items-center gap-2 text-xs">
+            <span className="opacity-70 flex-1">
+              {sweeping !== null
+                ? `Rendering ${Math.round(sweeping * 100)}%…`
+                : 'Day → night animation'}
+            </span>
+            {Object.entries(SWEEP_FORMATS).map(([key, f]) => (
+              <button
+                key={key}
+                onClick={() => handleExportSweep(key)}
+                disabled={capturing || (key === 'webm' && !webmMimeType())}
+                className="px-2 py-1 rounded bg-neutral-800 border border-neutral-700"
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {/* Shadows */}
+        <div className="space-y-2 border border-neutral-800 rounded-lg p-3">
+          <label className="flex items-center justify-between text-sm font-medium">
+            Wall Shadows
+            <input
+              type="checkbox"
+              checked={S.shadowsOn}
+              onChange={(e) => set({ shadowsOn: e.target.checked })}
+            />
+          </label>
+          <div className="text-xs opacity-70">
+            Letters, raceway, panel and an SVG logo cast the sun's shadows onto
+            the wall; they fade as the sun leaves the facade and towards night.
+          </div>
+          {S.shadowsOn && (
+            <>
+              <label className="block text-xs">
+                Softness
+                <input
+                  type="range"
+                  min="0"
+                  max="16"
+                  step="0.5"
+                  value={S.shadowSoftness}
+                  onChange={(e) =>
+                    set({ shadowSoftness: Number(e.target.value) })
+                  }
+                  className="w-full h-2 bg-neutral-800 rounded-lg"
+                />
+              </label>
+              <label className="block text-xs">
+                Opacity
+                <input
+                  type="range"
+                  min="0"
+                  max="1"
+                  step="0.05"
+                  value={S.shadowOpacity}
+                  onChange={(e) =>
+                    set({ shadowOpacity: Number(e.target.value) })
+                  }
+                  className="w-full h-2 bg-neutral-800 rounded-lg"
+                />
+              </label>
+            </>
+          )}
         </div>
 
         {/* Letter Size / Spacing */}
@@ -1599,7 +5884,30 @@ export default function App() {
             }
             className="w-full h-2 bg-neutral-800 rounded-lg"
           />
-          <div className="text-xs opacity-80 text-center">{S.size}px</div>
+          <div className="text-xs opacity-80 text-center">
+            {unitsPerInch && fontMetrics
+              ? `${fmtLen(fontMetrics.cap * S.signScale)} cap height`
+              : `${S.size} units`}
+          </div>
+          {unitsPerInch && fontMetrics && (
+            <label className="flex items-center justify-center gap-2 text-xs">
+              Cap height
+              <input
+                type="number"
+                min="0"
+                step={LENGTH_UNITS[S.displayUnit].step}
+                value={Number(
+                  fromInches(
+                    (fontMetrics.cap * S.signScale) / unitsPerInch,
+                    S.displayUnit
+                  ).toFixed(3)
+                )}
+                onChange={(e) => setLetterHeight(Number(e.target.value))}
+                className="bg-neutral-800 border border-neutral-700 rounded px-2 py-1 w-24"
+              />
+              {LENGTH_UNITS[S.displayUnit].label}
+            </label>
+          )}
         </div>
         <div className="space-y-2">
           <label className="text-sm font-medium">Line Spacing</label>
@@ -1618,7 +5926,7 @@ export default function App() {
         <div className="grid grid-cols-3 gap-3">
           <div>
             <label className="text-xs opacity-80">
-              Sign X ({S.signTX.toFixed(2)})
+              Sign X ({fmtLen(S.signTX, S.signTX.toFixed(2))})
             </label>
             <input
               type="range"
@@ -1632,7 +5940,7 @@ export default function App() {
           </div>
           <div>
             <label className="text-xs opacity-80">
-              Sign Y ({S.signTY.toFixed(2)})
+              Sign Y ({fmtLen(S.signTY, S.signTY.toFixed(2))})
             </label>
             <input
               type="range"
@@ -1749,7 +6057,9 @@ export default function App() {
             </div>
             <div className="grid grid-cols-2 gap-3">
               <div>
-                <label className="text-sm font-medium">Panel Pad X</label>
+                <label className="text-sm font-medium">
+                  Panel Pad X ({fmtLen(S.panelPadX * S.signScale)})
+                </label>
                 <input
                   type="range"
                   min="0"
@@ -1760,7 +6070,9 @@ export default function App() {
                 />
               </div>
               <div>
-                <label className="text-sm font-medium">Panel Pad Y</label>
+                <label className="text-sm font-medium">
+                  Panel Pad Y ({fmtLen(S.panelPadY * S.signScale)})
+                </label>
                 <input
                   type="range"
                   min="0"
@@ -1771,6 +6083,12 @@ export default function App() {
                 />
               </div>
             </div>
+            {S.showPanel && (
+              <div className="text-xs opacity-70">
+                Panel {fmtLen(signRect.W * S.signScale)} ×{' '}
+                {fmtLen(signRect.H * S.signScale)}
+              </div>
+            )}
           </>
         )}
 
@@ -1868,7 +6186,12 @@ export default function App() {
           <div className="grid grid-cols-3 gap-3">
             <div>
               <label className="text-xs opacity-80">
-                X ({S.logoTransform.x.toFixed(2)})
+                X (
+                {fmtLen(
+                  S.logoTransform.x * S.signScale,
+                  S.logoTransform.x.toFixed(2)
+                )}
+                )
               </label>
               <input
                 type="range"
@@ -1889,7 +6212,12 @@ export default function App() {
             </div>
             <div>
               <label className="text-xs opacity-80">
-                Y ({S.logoTransform.y.toFixed(2)})
+                Y (
+                {fmtLen(
+                  S.logoTransform.y * S.signScale,
+                  S.logoTransform.y.toFixed(2)
+                )}
+                )
               </label>
               <input
                 type="range"
@@ -1933,7 +6261,12 @@ export default function App() {
           <div className="grid grid-cols-2 gap-3">
             <div>
               <label className="text-sm font-medium">
-                Base Width ({(S.logoBaseWidth || logoDefaultWidth).toFixed(1)})
+                Base Width (
+                {fmtLen(
+                  (S.logoBaseWidth || logoDefaultWidth) * S.signScale,
+                  (S.logoBaseWidth || logoDefaultWidth).toFixed(1)
+                )}
+                )
               </label>
               <input
                 type="range"
@@ -1985,6 +6318,16 @@ export default function App() {
               </button>
             ))}
           </div>
+          {unitsPerInch && (
+            <div className="text-xs opacity-70">
+              Logo width on the wall{' '}
+              {fmtLen(
+                (S.logoBaseWidth || logoDefaultWidth) *
+                  S.logoTransform.scl *
+                  S.signScale
+              )}
+            </div>
+          )}
           <div className="text-xs opacity-70">
             Pick “Logo Tool” to drag/rotate/scale with the gizmo; arrow keys
             also move the logo (Shift = big steps). Logo always remains visible.
@@ -2000,14 +6343,15 @@ export default function App() {
         >
           {/* Background */}
           <Canvas
+            ref={bgCanvasRef}
             gl={{
               alpha: true,
               antialias: true,
               premultipliedAlpha: false,
               preserveDrawingBuffer: true,
             }}
-            dpr={[1, 2]}
-            camera={{ position: [0, 0, 260], fov: 35 }}
+            dpr={capture ? capture.dpr : [1, 2]}
+            camera={CAMERA}
             style={{
               position: 'absolute',
               inset: 0,
@@ -2016,20 +6360,28 @@ export default function App() {
             }}
             onCreated={({ gl }) => gl.setClearColor(0x000000, 0)}
           >
+            <PreviewCamera pose={S.cameraPose} />
             <Environment preset={envPreset} background={false} />
-            {imgURL ? (
-              <BuildingPlane3D
-                imageURL={imgURL}
-                planeWidth={120}
-                tiltX={S.bldTiltX}
-                tiltY={S.bldTiltY}
-                z={-1}
-              />
-            ) : (
-              <mesh>
-                <planeGeometry args={[120, 67.5]} />
-                <meshBasicMaterial color="#2a2a2a" />
-              </mesh>
+            <PhotoBackdrop S={S} imageURL={imgURL} night={timeOfDay} />
+            {lightSpill && (
+              <SignPlacement S={S}>
+                <WallLightSpill
+                  spill={lightSpill}
+                  offset={
+                    S.style === 'halo'
+                      ? [
+                          S.haloOffsetX * standoffUnits,
+                          S.haloOffsetY * standoffUnits,
+                        ]
+                      : [0, 0]
+                  }
+                  color={S.style === 'halo' ? S.haloColor : S.faceColor}
+                  intensity={
+                    (S.style === 'halo' ? S.haloStrength : 1) *
+                    THREE.MathUtils.lerp(0.15, 1, timeOfDay)
+                  }
+                />
+              </SignPlacement>
             )}
           </Canvas>
 
@@ -2038,28 +6390,46 @@ export default function App() {
             enabled={S.fitMode}
             size={{ w: dispW, h: dispH }}
             points={S.fitPoints}
-            onPointsChange={(pts) => set({ fitPoints: pts })}
+            onPointsChange={updateFitPoints}
             onApply={applyFourPointFit}
-            onCancel={() => set({ fitMode: false, fitPoints: [] })}
+            onCancel={() => set({ fitMode: false })}
+            photoURL={imgURL}
+            screenToPhoto={screenToPhoto}
+          />
+
+          <CalibrationOverlay
+            enabled={calibrating}
+            size={{ w: dispW, h: dispH }}
+            initialUnit={S.calibration?.unit || S.displayUnit}
+            onApply={applyCalibration}
+            onCancel={() => setCalibrating(false)}
           />
 
-          {/* Day/Night overlay */}
-          <div
-            className="absolute inset-0 pointer-events-none"
-            style={{ background: `rgba(0,0,0,${overlayAlpha})`, zIndex: 0 }}
+          <VanishingPointReview
+            result={vpResult}
+            photoURL={imgURL}
+            rect={{
+              x: (dispW * (1 - photoFrac)) / 2,
+              y: (dispH * (1 - photoFrac)) / 2,
+              w: dispW * photoFrac,
+              h: dispH * photoFrac,
+            }}
+            onApply={applyDetectedTilt}
+            onCancel={() => setVpResult(null)}
           />
 
           {/* Halo pass */}
           {S.style === 'halo' && (
             <Canvas
+              ref={haloCanvasRef}
               gl={{
                 alpha: true,
                 antialias: true,
                 premultipliedAlpha: false,
                 preserveDrawingBuffer: true,
               }}
-              dpr={[1, 2]}
-              camera={{ position: [0, 0, 260], fov: 35 }}
+              dpr={capture ? capture.dpr : [1, 2]}
+              camera={CAMERA}
               style={{
                 position: 'absolute',
                 inset: 0,
@@ -2068,49 +6438,47 @@ export default function App() {
               }}
               onCreated={({ gl }) => gl.setClearColor(0x000000, 0)}
             >
+              <PreviewCamera pose={S.cameraPose} />
               <ambientLight intensity={ambientI * 0.8} />
               <directionalLight
-                position={[60, 80, 120]}
+                position={sunDir.clone().multiplyScalar(150).toArray()}
                 intensity={dirI * 0.8}
               />
               <Environment preset={envPreset} background={false} />
 
-              <group rotation={[rad(S.bldTiltX), rad(S.bldTiltY), 0]}>
-                <group
-                  position={[S.signTX, S.signTY, 0]}
-                  rotation={[0, 0, S.signRZ]}
-                  scale={[S.signScale, S.signScale, S.signScale]}
-                >
-                  <HaloOnly
-                    text={S.text}
-                    fontUrl={S.fontUrl}
-                    depth={6}
-                    size={S.size}
-                    lineSpacing={S.lineSpacing}
-                    haloColor={S.haloColor}
-                    haloStrength={S.haloStrength}
-                    glowSize={S.glowSize}
-                    bloomRadius={S.bloomRadius}
-                    haloOffsetX={S.haloOffsetX}
-                    haloOffsetY={S.haloOffsetY}
-                    perLineWidthScale={S.perLineWidthScale}
-                    linePoses={S.linePoses}
-                  />
-                </group>
-              </group>
+              <SignPlacement S={S}>
+                <HaloOnly
+                  text={S.text}
+                  fontUrl={S.fontUrl}
+                  depth={LETTER_DEPTH}
+                  size={S.size}
+                  lineSpacing={S.lineSpacing}
+                  haloColor={S.haloColor}
+                  haloStrength={S.haloStrength}
+                  glowSize={S.glowSize}
+                  bloomRadius={S.bloomRadius}
+                  haloOffsetX={S.haloOffsetX}
+                  haloOffsetY={S.haloOffsetY}
+                  standoff={standoffUnits}
+                  perLineWidthScale={S.perLineWidthScale}
+                  linePoses={S.linePoses}
+                />
+              </SignPlacement>
             </Canvas>
           )}
 
           {/* Foreground (interactive) */}
           <Canvas
+            ref={fgCanvasRef}
+            shadows="variance"
             gl={{
               alpha: true,
               antialias: true,
               premultipliedAlpha: false,
               preserveDrawingBuffer: true,
             }}
-            dpr={[1, 2]}
-            camera={{ position: [0, 0, 260], fov: 35 }}
+            dpr={capture ? capture.dpr : [1, 2]}
+            camera={CAMERA}
             style={{
               position: 'absolute',
               inset: 0,
@@ -2119,23 +6487,25 @@ export default function App() {
             }}
             onCreated={({ gl }) => gl.setClearColor(0x000000, 0)}
           >
+            <PreviewCamera pose={S.cameraPose} />
             <ambientLight intensity={ambientI} />
-            <directionalLight position={[60, 80, 120]} intensity={dirI} />
+            <directionalLight
+              position={sunDir.clone().multiplyScalar(150).toArray()}
+              intensity={dirI}
+            />
             <Environment preset={envPreset} background={false} />
 
-            <group rotation={[rad(S.bldTiltX), rad(S.bldTiltY), 0]}>
-              <Suspense fallback={null}>
-                <group
-                  position={[S.signTX, S.signTY, 0]}
-                  rotation={[0, 0, S.signRZ]}
-                  scale={[S.signScale, S.signScale, S.signScale]}
-                >
+            <Suspense fallback={null}>
+              <SignPlacement S={S}>
+                {shadowProps && <WallShadows {...shadowProps} />}
+                <group ref={signGroupRef}>
                   <ChannelLettersAndPanel
                     signType={S.signType}
                     showLetters={lettersVisible}
                     text={S.text}
                     fontUrl={S.fontUrl}
-                    depth={6}
+                    depth={LETTER_DEPTH}
+                    standoff={standoffUnits}
                     size={S.size}
                     faceColor={S.faceColor}
                     trimColor={S.trimColor}
@@ -2169,7 +6539,7 @@ export default function App() {
                     snapEnabled={S.snapEnabled}
                     snapStep={S.snapStep}
                     snapAngleDeg={S.snapAngleDeg}
-                    activeTool={S.activeTool}
+                    activeTool={gizmoTool}
                     onClickLine={(i) => set({ activeLineIndex: i })}
                   />
 
@@ -2193,7 +6563,7 @@ export default function App() {
                             setTransform={(t) => set({ logoTransform: t })}
                             bounds={bounds}
                             gizmoMode={S.logoGizmoMode}
-                            controlsEnabled={S.activeTool === 'logo'}
+                            controlsEnabled={gizmoTool === 'logo'}
                             snapStep={S.snapEnabled ? S.snapStep : 0}
                           />
                         );
@@ -2201,9 +6571,81 @@ export default function App() {
                     </>
                   )}
                 </group>
-              </Suspense>
-            </group>
+              </SignPlacement>
+            </Suspense>
           </Canvas>
+
+          {/* Occluders: masked photo pixels over every sign layer */}
+          {imgURL && occlusionTexture && (
+            <Canvas
+              ref={occluderCanvasRef}
+              gl={{
+                alpha: true,
+                antialias: true,
+                premultipliedAlpha: false,
+                preserveDrawingBuffer: true,
+              }}
+              dpr={capture ? capture.dpr : [1, 2]}
+              camera={CAMERA}
+              style={{
+                position: 'absolute',
+                inset: 0,
+                zIndex: 2,
+                pointerEvents: 'none',
+              }}
+              onCreated={({ gl }) => gl.setClearColor(0x000000, 0)}
+            >
+              <PreviewCamera pose={S.cameraPose} />
+              <PhotoBackdrop
+                S={S}
+                imageURL={imgURL}
+                night={timeOfDay}
+                mask={occlusionTexture}
+              />
+            </Canvas>
+          )}
+
+          {retouchTool && (
+            <RetouchEditor
+              tool={retouchTool}
+              size={{ w: dispW, h: dispH }}
+              radius={retouchRadius}
+              source={cloneSource}
+              busy={retouchBusy}
+              toScreen={maskToScreen}
+              toPhoto={screenToPhoto}
+              onSource={setCloneSource}
+              onApply={applyRetouch}
+            />
+          )}
+
+          {maskTool && (
+            <OcclusionMaskEditor
+              tool={maskTool}
+              size={{ w: dispW, h: dispH }}
+              masks={S.occlusionMasks}
+              brushRadius={brushRadius}
+              toScreen={maskToScreen}
+              toPhoto={screenToPhoto}
+              onChange={(occlusionMasks) => set({ occlusionMasks })}
+            />
+          )}
+
+          {S.showDimensions && (
+            <DimensionOverlay
+              svgRef={dimsSvgRef}
+              size={{ w: dispW, h: dispH }}
+              dims={signDimensions()}
+            />
+          )}
+
+          {compareOn && (
+            <DayNightCompare
+              shots={compareShots}
+              split={compareSplit}
+              onDrag={dragCompare}
+            />
+          )}
         </div>
       </div>
     </div>
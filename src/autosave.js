@@ -0,0 +1,77 @@
+/* ───────────────────────── Autosave (IndexedDB) ───────────────────────── */
+
+// Sessions are stored whole: the design snapshot, its Blob fields (IndexedDB
+// keeps Blobs natively, no base64 round-trip) and a small JPEG thumbnail.
+
+const DB_NAME = 'sign-mockup';
+const DB_VERSION = 1;
+const STORE = 'sessions';
+
+export const AUTOSAVE_INTERVAL_MS = 5000;
+export const MAX_SESSIONS = 10;
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE)) {
+        const os = db.createObjectStore(STORE, { keyPath: 'id' });
+        os.createIndex('updatedAt', 'updatedAt');
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+  dbPromise.catch(() => (dbPromise = null));
+  return dbPromise;
+}
+
+function run(mode, fn) {
+  return openDB().then(
+    (db) =>
+      new Promise((resolve, reject) => {
+        const tx = db.transaction(STORE, mode);
+        const req = fn(tx.objectStore(STORE));
+        tx.oncomplete = () => resolve(req?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+      })
+  );
+}
+
+export function newSessionId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * @param {{ id: string, title?: string, state: object,
+ *           files: Record<string, Blob|null>, thumbnail?: string }} session
+ */
+export function saveSession(session) {
+  return run('readwrite', (os) =>
+    os.put({ ...session, updatedAt: Date.now() })
+  );
+}
+
+export function deleteSession(id) {
+  return run('readwrite', (os) => os.delete(id));
+}
+
+/** Most recently updated first. */
+export async function listSessions() {
+  const all = (await run('readonly', (os) => os.getAll())) || [];
+  return all.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function pruneSessions(keep = MAX_SESSIONS) {
+  const all = await listSessions();
+  await Promise.all(all.slice(keep).map((s) => deleteSession(s.id)));
+}
@@ -0,0 +1,139 @@
+/* ───────────────────────── Camera pose from a rectangle ───────────────────────── */
+
+// Planar PnP for the Plane Snap corners: the fascia is a rectangle on the
+// wall, its four image corners give a homography H = K·[r1 r2 t]·diag(w, h),
+// from which we recover the focal length (if not given), the rectangle's
+// aspect and the camera pose.
+//
+// Image points are in "photo units": origin at the photo centre, y up, photo
+// height = 1. The returned basis/translation are in three.js camera space
+// (camera looks down −z), mapping world (rect plane z = 0) → camera.
+
+import { solveHomography } from './homography';
+
+const UNIT_SQUARE = [
+  { x: -0.5, y: 0.5 },
+  { x: 0.5, y: 0.5 },
+  { x: 0.5, y: -0.5 },
+  { x: -0.5, y: -0.5 },
+];
+
+// Plausible vertical FOV range for a self-estimated focal length.
+const MIN_FOV = 8;
+const MAX_FOV = 110;
+
+const norm = (v) => Math.hypot(v[0], v[1], v[2]);
+const scale = (v, s) => [v[0] * s, v[1] * s, v[2] * s];
+const unit = (v) => scale(v, 1 / (norm(v) || 1));
+const cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+const flipZ = (v) => [v[0], v[1], -v[2]];
+
+export const fovToFocal = (fovDeg) => 0.5 / Math.tan((fovDeg * Math.PI) / 360);
+export const focalToFov = (f) => (Math.atan(0.5 / f) * 360) / Math.PI;
+
+/**
+ * Focal length from the orthogonality of r1 and r2; null when unobservable
+ * (e.g. a straight-on or one-point-perspective view).
+ */
+export function estimateFocal(H) {
+  const den = H[6] * H[7];
+  if (Math.abs(den) < 1e-10) return null;
+  const f2 = -(H[0] * H[1] + H[3] * H[4]) / den;
+  if (!(f2 > 0)) return null;
+  const f = Math.sqrt(f2);
+  const fov = focalToFov(f);
+  return fov >= MIN_FOV && fov <= MAX_FOV ? f : null;
+}
+
+/**
+ * @param {{x:number,y:number}[]} imgPts  tl, tr, br, bl in photo units
+ * @param {object} opts
+ * @param {number} opts.width            rectangle width in world units
+ * @param {number} [opts.fovDeg]         fixed vertical FOV of the photo
+ * @param {number} [opts.fallbackFovDeg] used when the focal can't be estimated
+ * @param {number} [opts.aspect]         fixed rectangle width / height
+ */
+export function solveRectanglePose(
+  imgPts,
+  { width, fovDeg, fallbackFovDeg = 50, aspect: fixedAspect }
+) {
+  const H = solveHomography(UNIT_SQUARE, imgPts);
+  if (!H) return null;
+
+  let f = fovDeg ? fovToFocal(fovDeg) : estimateFocal(H);
+  const focalEstimated = !fovDeg && f != null;
+  if (f == null) f = fovToFocal(fallbackFovDeg);
+
+  const m1 = [H[0] / f, H[3] / f, H[6]];
+  const m2 = [H[1] / f, H[4] / f, H[7]];
+  const m3 = [H[2] / f, H[5] / f, H[8]];
+  const n1 = norm(m1);
+  const n2 = norm(m2);
+  if (n1 < 1e-12 || n2 < 1e-12) return null;
+
+  const aspect = fixedAspect || n1 / n2;
+  const w = width;
+  const h = width / aspect;
+  let lambda = (n1 / w + n2 / h) / 2;
+  if (m3[2] < 0) lambda = -lambda; // rectangle must be in front of the camera
+
+  const sgn = Math.sign(lambda);
+  const ex = unit(flipZ(scale(m1, sgn)));
+  const ey0 = unit(flipZ(scale(m2, sgn)));
+  const ez = unit(cross(ex, ey0));
+  const ey = cross(ez, ex);
+  const t = flipZ(scale(m3, 1 / lambda));
+
+  return {
+    basis: [ex, ey, ez],
+    t,
+    focal: f,
+    fovDeg: focalToFov(f),
+    focalEstimated,
+    aspect,
+    width: w,
+    height: h,
+  };
+}
+
+/**
+ * Wall tilt (Euler X/Y of the building plane, degrees) from the facade's
+ * vertical and horizontal vanishing points, homogeneous [x, y, w] in photo
+ * units. Either may be null (assumed parallel to the image axis). With two
+ * finite points the focal length is estimated from their orthogonality.
+ */
+export function tiltFromVanishingPoints(vv, vh, fallbackFovDeg = 50) {
+  const V = vv || [0, 1, 0];
+  const Hz = vh || [1, 0, 0];
+  let f = null;
+  if (Math.abs(V[2]) > 1e-9 && Math.abs(Hz[2]) > 1e-9) {
+    const f2 = -(
+      (V[0] / V[2]) * (Hz[0] / Hz[2]) +
+      (V[1] / V[2]) * (Hz[1] / Hz[2])
+    );
+    const fov = f2 > 0 ? focalToFov(Math.sqrt(f2)) : 0;
+    if (fov >= MIN_FOV && fov <= MAX_FOV) f = Math.sqrt(f2);
+  }
+  const focalEstimated = f != null;
+  if (f == null) f = fovToFocal(fallbackFovDeg);
+
+  // 3D directions K⁻¹·v; orient "up" and "right" consistently
+  let dv = unit([V[0], V[1], V[2] * f]);
+  let dh = unit([Hz[0], Hz[1], Hz[2] * f]);
+  if (dv[1] < 0) dv = scale(dv, -1);
+  if (dh[0] < 0) dh = scale(dh, -1);
+  let n = flipZ(unit(cross(dh, dv))); // wall normal, three.js camera space
+  if (n[2] < 0) n = scale(n, -1);
+
+  const toDeg = 180 / Math.PI;
+  return {
+    tiltX: Math.atan2(-n[1], n[2]) * toDeg,
+    tiltY: Math.asin(Math.max(-1, Math.min(1, n[0]))) * toDeg,
+    fovDeg: focalToFov(f),
+    focalEstimated,
+  };
+}
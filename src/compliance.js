@@ -0,0 +1,173 @@
+/* ───────────────────────── Sign-code compliance ───────────────────────── */
+
+// Evaluates a design against one zone of the local rule set. The caller
+// measures the design (real units: inches / square inches); anything it
+// could not measure is passed as null and the rule reports 'unknown'.
+
+import RULES from './signCodeRules.json';
+
+export const SIGN_CODE = RULES;
+export const ZONES = RULES.zones;
+
+const LIGHTING_LABELS = {
+  front: 'Front-lit',
+  halo: 'Reverse halo',
+  none: 'Non-lit',
+};
+
+const sqFt = (sqIn) => `${(sqIn / 144).toFixed(1)} sq ft`;
+const inch = (v) => `${v.toFixed(1)}″`;
+const minutes = (hhmm) => {
+  const [h, m] = String(hhmm).split(':').map(Number);
+  return ((h || 0) * 60 + (m || 0)) % 1440;
+};
+
+// Minutes of the day covered by [from, to), wrapping past midnight. Equal
+// times are the whole day (a sign lit 00:00–00:00 is lit around the clock).
+function dayMask(from, to) {
+  const a = minutes(from);
+  const b = minutes(to);
+  const mask = new Uint8Array(1440).fill(a === b ? 1 : 0);
+  for (let t = a; t !== b; t = (t + 1) % 1440) mask[t] = 1;
+  return mask;
+}
+
+function limitCheck(value, max, warnRatio, fmt, what) {
+  if (value == null)
+    return {
+      status: 'unknown',
+      message: `${what}: calibrate scale to measure.`,
+    };
+  if (value > max)
+    return {
+      status: 'fail',
+      message: `${what} ${fmt(value)} exceeds the ${fmt(max)} limit.`,
+    };
+  if (value > max * warnRatio)
+    return {
+      status: 'warn',
+      message: `${what} ${fmt(value)} is within ${Math.round(
+        (1 - warnRatio) * 100
+      )}% of the ${fmt(max)} limit.`,
+    };
+  return {
+    status: 'pass',
+    message: `${what} ${fmt(value)} (max ${fmt(max)}).`,
+  };
+}
+
+/**
+ * @param {object} design
+ * @param {string} design.style            'front' | 'halo' | 'none'
+ * @param {number|null} design.signAreaSqIn  enclosing rectangle of text/panel + logo
+ * @param {number|null} design.logoAreaSqIn
+ * @param {number|null} design.frontageAreaSqIn
+ * @param {boolean} [design.hasLetters]  false skips the letter-height rule
+ * @param {number|null} design.maxLetterHeightIn
+ * @param {number|null} design.projectionIn
+ * @param {{from:string,to:string}} design.litHours
+ * @param {string} zoneId
+ * @returns {{ id, label, status: 'pass'|'warn'|'fail'|'unknown', message }[]}
+ */
+export function evaluateCompliance(design, zoneId, rules = RULES) {
+  const zone = rules.zones.find((z) => z.id === zoneId) || rules.zones[0];
+  const warnRatio = rules.warnRatio ?? 0.9;
+  const results = [];
+  const add = (id, label, r) => results.push({ id, label, ...r });
+
+  // Sign area as a percentage of the frontage wall
+  if (design.signAreaSqIn == null || !design.frontageAreaSqIn) {
+    add('area', 'Sign area', {
+      status: 'unknown',
+      message:
+        design.signAreaSqIn == null
+          ? 'Calibrate scale to measure the sign area.'
+          : 'Enter the frontage size to check the area allowance.',
+    });
+  } else {
+    const pct = (design.signAreaSqIn / design.frontageAreaSqIn) * 100;
+    const r = limitCheck(
+      pct,
+      zone.maxAreaPctOfFrontage,
+      warnRatio,
+      (v) => `${v.toFixed(1)}%`,
+      'Frontage coverage'
+    );
+    const logo = design.logoAreaSqIn
+      ? ` Includes a ${sqFt(design.logoAreaSqIn)} logo.`
+      : '';
+    add('area', 'Sign area', {
+      ...r,
+      message: `${sqFt(design.signAreaSqIn)} — ${r.message}${logo}`,
+    });
+  }
+
+  if (design.hasLetters !== false)
+    add(
+      'letterHeight',
+      'Letter height',
+      limitCheck(
+        design.maxLetterHeightIn,
+        zone.maxLetterHeightIn,
+        warnRatio,
+        inch,
+        'Tallest letters'
+      )
+    );
+
+  add(
+    'projection',
+    'Projection',
+    limitCheck(
+      design.projectionIn,
+      zone.maxProjectionIn,
+      warnRatio,
+      inch,
+      'Projection from wall'
+    )
+  );
+
+  const lighting = LIGHTING_LABELS[design.style] || design.style;
+  add(
+    'illumination',
+    'Illumination',
+    zone.illumination.includes(design.style)
+      ? {
+          status: 'pass',
+          message: `${lighting} is permitted in ${zone.label}.`,
+        }
+      : {
+          status: 'fail',
+          message: `${lighting} is not permitted in ${zone.label}; allowed: ${zone.illumination
+            .map((k) => LIGHTING_LABELS[k] || k)
+            .join(', ')}.`,
+        }
+  );
+
+  if (design.style !== 'none' && zone.illuminationHours) {
+    const allowed = dayMask(
+      zone.illuminationHours.from,
+      zone.illuminationHours.to
+    );
+    const lit = dayMask(design.litHours.from, design.litHours.to);
+    const outside = lit.reduce(
+      (n, on, t) => n + (on && !allowed[t] ? 1 : 0),
+      0
+    );
+    const allowedWindow = `${zone.illuminationHours.from}–${zone.illuminationHours.to}`;
+    add(
+      'hours',
+      'Lit hours',
+      outside
+        ? {
+            status: 'fail',
+            message: `Lit ${design.litHours.from}–${design.litHours.to}, but illumination is only allowed ${allowedWindow} (${
+              Math.round(outside / 6) / 10
+            } h outside).`,
+          }
+        : { status: 'pass', message: `Lit hours fall within ${allowedWindow}.` }
+    );
+  }
+
+  return results;
+}
@@ -0,0 +1,244 @@
+/* ───────────────────────── Fabrication cut files ───────────────────────── */
+
+// True-scale 2D parts for the CNC router, in inches: letter faces, back
+// plates (face outline inset), raceway rectangles and the pan panel, packed
+// onto sheets with part labels. Written out as DXF (R12, no handles, opens
+// everywhere; drawing units are inches, which R12 has no header for) or SVG.
+
+import * as THREE from 'three';
+import { cleanRing, glyphContours, offsetRing, ringLength } from './glyphs';
+
+export const CUT_DEFAULTS = {
+  backInsetIn: 0.125,
+  sheetWidthIn: 96,
+  gapIn: 1,
+  labelHeightIn: 0.75,
+};
+
+const LAYER_COLORS = {
+  FACES: { dxf: 1, svg: '#d00000' },
+  BACKS: { dxf: 5, svg: '#0050d0' },
+  RACEWAY: { dxf: 3, svg: '#008000' },
+  PANEL: { dxf: 6, svg: '#a000a0' },
+  LABELS: { dxf: 7, svg: '#000000' },
+};
+
+const rect = (w, h) => [
+  new THREE.Vector2(0, 0),
+  new THREE.Vector2(w, 0),
+  new THREE.Vector2(w, h),
+  new THREE.Vector2(0, h),
+];
+
+/**
+ * @param {object} d
+ * @param {THREE.Font} d.font
+ * @param {{ text: string, fontIn: number, widthScale: number,
+ *           raceway: { wIn: number, hIn: number }|null }[]} d.lines
+ * @param {number} d.returnDepthIn   letter return (side) depth
+ * @param {{ wIn: number, hIn: number }|null} d.panel
+ * @returns {{ id, label, layer, rings: THREE.Vector2[][], note? }[]}
+ */
+export function buildCutParts(d, opts = CUT_DEFAULTS) {
+  const parts = [];
+  d.lines.forEach((ln, li) => {
+    let n = 0;
+    for (const char of ln.text) {
+      if (!char.trim()) continue;
+      n += 1;
+      const id = `L${li + 1}-${n}`;
+      const shapes = glyphContours(d.font, char, ln.fontIn, ln.widthScale);
+      const faces = shapes.flatMap(({ outer, holes }) => [
+        cleanRing(outer, true),
+        ...holes.map((h) => cleanRing(h, false)),
+      ]);
+      const backs = faces.map((r) => offsetRing(r, opts.backInsetIn));
+      const returnIn = faces.reduce((s, r) => s + ringLength(r), 0);
+      parts.push({
+        id: `${id}F`,
+        label: `${id} "${char}" face`,
+        layer: 'FACES',
+        rings: faces,
+        note: `return ${returnIn.toFixed(1)} x ${d.returnDepthIn.toFixed(2)} in`,
+        returnIn,
+      });
+      parts.push({
+        id: `${id}B`,
+        label: `${id} "${char}" back`,
+        layer: 'BACKS',
+        rings: backs,
+      });
+    }
+    if (ln.raceway) {
+      parts.push({
+        id: `R${li + 1}`,
+        label: `R${li + 1} raceway`,
+        layer: 'RACEWAY',
+        rings: [rect(ln.raceway.wIn, ln.raceway.hIn)],
+        note: `${ln.raceway.wIn.toFixed(2)} x ${ln.raceway.hIn.toFixed(2)} in`,
+      });
+    }
+  });
+  if (d.panel) {
+    parts.push({
+      id: 'P1',
+      label: 'P1 panel',
+      layer: 'PANEL',
+      rings: [rect(d.panel.wIn, d.panel.hIn)],
+      note: `${d.panel.wIn.toFixed(2)} x ${d.panel.hIn.toFixed(2)} in`,
+    });
+  }
+  return parts;
+}
+
+/**
+ * Shelf-pack parts left → right, rows upward, each with its label under it.
+ * Returns parts moved into place plus the overall extent.
+ */
+export function layoutParts(parts, opts = CUT_DEFAULTS) {
+  const { sheetWidthIn, gapIn, labelHeightIn } = opts;
+  const textH = labelHeightIn * 1.4 * 2; // label + note lines
+  let x = 0;
+  let y = 0;
+  let rowH = 0;
+  let width = 0;
+  const placed = parts.map((part) => {
+    const box = new THREE.Box2();
+    part.rings.forEach((r) => r.forEach((p) => box.expandByPoint(p)));
+    const w = box.max.x - box.min.x;
+    const h = box.max.y - box.min.y + textH;
+    if (x > 0 && x + w > sheetWidthIn) {
+      x = 0;
+      y += rowH + gapIn;
+      rowH = 0;
+    }
+    const shift = new THREE.Vector2(x - box.min.x, y + textH - box.min.y);
+    const out = {
+      ...part,
+      rings: part.rings.map((r) => r.map((p) => p.clone().add(shift))),
+      labelAt: { x, y: y + labelHeightIn * 1.4 },
+      noteAt: { x, y },
+    };
+    x += w + gapIn;
+    rowH = Math.max(rowH, h);
+    width = Math.max(width, x - gapIn);
+    return out;
+  });
+  return { parts: placed, width, height: y + rowH, labelHeightIn };
+}
+
+/* ── writers ── */
+
+const num = (v) => (Math.abs(v) < 1e-9 ? '0' : v.toFixed(4));
+
+// R12 readers take TEXT as ANSI in the reader's code page, so labels go out
+// as ASCII, anything else spelled as its code point (é → U+00E9)
+const dxfText = (s) =>
+  String(s).replace(
+    /[\u0080-\u{10ffff}]/gu,
+    (c) => `U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}`
+  );
+
+export function toDXF(layout) {
+  const out = [];
+  const g = (code, value) => out.push(String(code), String(value));
+  g(0, 'SECTION');
+  g(2, 'HEADER');
+  g(9, '$ACADVER');
+  g(1, 'AC1009');
+  g(9, '$EXTMIN');
+  g(10, 0);
+  g(20, 0);
+  g(9, '$EXTMAX');
+  g(10, num(layout.width));
+  g(20, num(layout.height));
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION');
+  g(2, 'TABLES');
+  g(0, 'TABLE');
+  g(2, 'LAYER');
+  g(70, Object.keys(LAYER_COLORS).length);
+  for (const [name, c] of Object.entries(LAYER_COLORS)) {
+    g(0, 'LAYER');
+    g(2, name);
+    g(70, 0);
+    g(62, c.dxf);
+    g(6, 'CONTINUOUS');
+  }
+  g(0, 'ENDTAB');
+  g(0, 'ENDSEC');
+
+  g(0, 'SECTION');
+  g(2, 'ENTITIES');
+  const text = (s, at, h) => {
+    g(0, 'TEXT');
+    g(8, 'LABELS');
+    g(10, num(at.x));
+    g(20, num(at.y));
+    g(30, 0);
+    g(40, num(h));
+    g(1, dxfText(s));
+  };
+  for (const part of layout.parts) {
+    for (const ring of part.rings) {
+      g(0, 'POLYLINE');
+      g(8, part.layer);
+      g(66, 1);
+      g(70, 1); // closed
+      for (const p of ring) {
+        g(0, 'VERTEX');
+        g(8, part.layer);
+        g(10, num(p.x));
+        g(20, num(p.y));
+        g(30, 0);
+      }
+      g(0, 'SEQEND');
+      g(8, part.layer);
+    }
+    text(part.label, part.labelAt, layout.labelHeightIn);
+    if (part.note) text(part.note, part.noteAt, layout.labelHeightIn * 0.8);
+  }
+  g(0, 'ENDSEC');
+  g(0, 'EOF');
+  return out.join('\n') + '\n';
+}
+
+const esc = (s) =>
+  String(s).replace(
+    /[&<>"]/g,
+    (c) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]
+  );
+
+export function toSVG(layout) {
+  const W = Math.max(layout.width, 1);
+  const H = Math.max(layout.height, 1);
+  const fy = (y) => num(H - y); // SVG is y-down
+  const groups = Object.keys(LAYER_COLORS).map((layer) => {
+    const color = LAYER_COLORS[layer].svg;
+    const parts = layout.parts.filter((p) => p.layer === layer);
+    if (layer === 'LABELS') {
+      const h = layout.labelHeightIn;
+      const texts = layout.parts.flatMap((p) => [
+        `<text x="${num(p.labelAt.x)}" y="${fy(p.labelAt.y)}" font-size="${num(h)}">${esc(p.label)}</text>`,
+        p.note
+          ? `<text x="${num(p.noteAt.x)}" y="${fy(p.noteAt.y)}" font-size="${num(h * 0.8)}">${esc(p.note)}</text>`
+          : '',
+      ]);
+      return `<g id="LABELS" fill="${color}" font-family="Helvetica, Arial, sans-serif">${texts.join('')}</g>`;
+    }
+    const paths = parts.map((p) => {
+      const d = p.rings
+        .map((r) => `M${r.map((pt) => `${num(pt.x)} ${fy(pt.y)}`).join('L')}Z`)
+        .join('');
+      return `<path id="${esc(p.id)}" d="${d}"/>`;
+    });
+    return `<g id="${layer}" fill="none" stroke="${color}" stroke-width="0.01" fill-rule="evenodd">${paths.join('')}</g>`;
+  });
+  return (
+    `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${num(W)}in" height="${num(H)}in" viewBox="0 0 ${num(W)} ${num(H)}">\n` +
+    groups.join('\n') +
+    `\n</svg>\n`
+  );
+}
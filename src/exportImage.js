@@ -0,0 +1,115 @@
+/* ───────────────────────── Image export helpers ───────────────────────── */
+
+// Largest side we let a WebGL canvas grow to while re-rendering for export.
+// Most GPUs cap renderbuffers at 8–16k; three stacked canvases at that size
+// are already a few hundred MB, so stay on the safe side.
+export const MAX_EXPORT_SIDE = 8192;
+
+export const EXPORT_FORMATS = {
+  png: { mime: 'image/png', ext: 'png', label: 'PNG' },
+  jpeg: { mime: 'image/jpeg', ext: 'jpg', label: 'JPEG' },
+};
+
+/**
+ * Flatten preview layers into one 2D canvas, bottom to top.
+ *
+ * Each layer is either `{ source }` (a canvas/image drawn stretched over the
+ * full viewport) or `{ fill }` (a CSS colour painted over everything below,
+ * used for the day/night overlay). `crop` is the viewport region to keep, in
+ * 0…1 fractions of the source size.
+ */
+export function compositeLayers(
+  layers,
+  { width, height, background = null, crop = { x: 0, y: 0, w: 1, h: 1 } }
+) {
+  const out = document.createElement('canvas');
+  out.width = Math.round(width);
+  out.height = Math.round(height);
+  const ctx = out.getContext('2d');
+  if (background) {
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, out.width, out.height);
+  }
+  for (const layer of layers) {
+    if (!layer) continue;
+    if (layer.fill) {
+      ctx.fillStyle = layer.fill;
+      ctx.fillRect(0, 0, out.width, out.height);
+      continue;
+    }
+    const src = layer.source;
+    const sw = src?.width || 0;
+    const sh = src?.height || 0;
+    if (!sw || !sh) continue;
+    ctx.drawImage(
+      src,
+      crop.x * sw,
+      crop.y * sh,
+      crop.w * sw,
+      crop.h * sh,
+      0,
+      0,
+      out.width,
+      out.height
+    );
+  }
+  return out;
+}
+
+export function canvasToBlob(canvas, mime = 'image/png', quality = 0.92) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (b) => (b ? resolve(b) : reject(new Error('Canvas export failed'))),
+      mime,
+      quality
+    );
+  });
+}
+
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export function nextFrames(n = 1) {
+  return new Promise((resolve) => {
+    const tick = () => (--n <= 0 ? resolve() : requestAnimationFrame(tick));
+    requestAnimationFrame(tick);
+  });
+}
+
+/**
+ * Rasterise a live <svg> element (e.g. the dimension overlay) so it can be
+ * composited like a canvas layer. `scale` multiplies its pixel size.
+ */
+export function svgToImage(svg, scale = 1) {
+  const w = Number(svg.getAttribute('width')) || svg.clientWidth;
+  const h = Number(svg.getAttribute('height')) || svg.clientHeight;
+  const clone = svg.cloneNode(true);
+  clone.setAttribute('xmlns', 'http://www.w3.org/2000/svg');
+  clone.setAttribute('viewBox', `0 0 ${w} ${h}`);
+  clone.setAttribute('width', Math.round(w * scale));
+  clone.setAttribute('height', Math.round(h * scale));
+  const blob = new Blob([new XMLSerializer().serializeToString(clone)], {
+    type: 'image/svg+xml',
+  });
+  const url = URL.createObjectURL(blob);
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(img);
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not rasterise overlay'));
+    };
+    img.src = url;
+  });
+}
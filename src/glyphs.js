@@ -0,0 +1,284 @@
+/* ───────────────────────── Glyph outlines ───────────────────────── */
+
+// Font outlines for measuring letters (LED layout, cut files, …). Uses the
+// same typeface JSON fonts as Text3D; loads are cached per URL.
+
+import * as THREE from 'three';
+import { FontLoader } from 'three/examples/jsm/loaders/FontLoader';
+
+const fontCache = new Map();
+
+export function loadFont(url) {
+  if (!fontCache.has(url)) {
+    const p = new FontLoader().loadAsync(url);
+    p.catch(() => fontCache.delete(url));
+    fontCache.set(url, p);
+  }
+  return fontCache.get(url);
+}
+
+/**
+ * Drop points within `eps` of the previous kept one and points exactly in
+ * line with their neighbours (earcut skips those in the lids while extruded
+ * sides keep them), and force the winding (CCW outers, CW holes).
+ */
+export function cleanRing(pts, ccw, eps = 1e-6) {
+  let out = [];
+  for (const p of pts)
+    if (!out.length || p.distanceTo(out[out.length - 1]) > eps) out.push(p);
+  if (out.length > 2 && out[0].distanceTo(out[out.length - 1]) <= eps)
+    out.pop();
+  for (let again = true; again && out.length > 3;) {
+    const n = out.length;
+    out = out.filter((q, i) => {
+      const p = out[(i - 1 + n) % n];
+      const r = out[(i + 1) % n];
+      return (q.y - p.y) * (r.x - q.x) - (q.x - p.x) * (r.y - q.y) !== 0;
+    });
+    again = out.length < n;
+  }
+  return THREE.ShapeUtils.isClockWise(out) === ccw ? out.reverse() : out;
+}
+
+export const ringLength = (pts) =>
+  pts.reduce((sum, p, i) => sum + p.distanceTo(pts[(i + 1) % pts.length]), 0);
+
+// where segments a→b and c→d cross, or null
+function crossing(a, b, c, d) {
+  const r = new THREE.Vector2().subVectors(b, a);
+  const s = new THREE.Vector2().subVectors(d, c);
+  const den = r.cross(s);
+  if (Math.abs(den) < 1e-12) return null;
+  const ac = new THREE.Vector2().subVectors(c, a);
+  const t = ac.cross(s) / den;
+  const u = ac.cross(r) / den;
+  if (t <= 0 || t >= 1 || u <= 0 || u >= 1) return null;
+  return a.clone().addScaledVector(r, t);
+}
+
+// Cut the small loops an offset leaves where it turns into a tight corner;
+// a second pass from the other side of the ring catches one across the start.
+function cutLoops(pts) {
+  let ring = pts;
+  for (let pass = 0; pass < 2; pass++) {
+    const n = ring.length;
+    const reach = Math.max(3, Math.floor(n / 3));
+    const out = [];
+    for (let i = 0; i < n; i++) {
+      out.push(ring[i]);
+      let cut = null;
+      for (let j = i + 2; j < Math.min(n - 1, i + reach); j++) {
+        const x = crossing(ring[i], ring[i + 1], ring[j], ring[j + 1]);
+        if (x) cut = { j, x };
+      }
+      if (cut) {
+        out.push(cut.x);
+        i = cut.j;
+      }
+    }
+    const half = out.length >> 1;
+    ring = [...out.slice(half), ...out.slice(0, half)];
+  }
+  return ring;
+}
+
+/**
+ * Offset a closed ring by `d` to the left of its direction of travel, i.e.
+ * into the material for CCW outers and CW holes. Miters are capped at 3·d
+ * and loops at tight corners cut off.
+ */
+export function offsetRing(pts, d) {
+  const n = pts.length;
+  const normal = (a, b) => {
+    const e = new THREE.Vector2().subVectors(b, a).normalize();
+    return new THREE.Vector2(-e.y, e.x);
+  };
+  return cutLoops(
+    pts.map((p, i) => {
+      const n1 = normal(pts[(i - 1 + n) % n], p);
+      const n2 = normal(p, pts[(i + 1) % n]);
+      const m = n1.clone().add(n2);
+      if (m.lengthSq() < 1e-12) return p.clone().addScaledVector(n1, d);
+      m.normalize();
+      const len = Math.min(d / Math.max(m.dot(n1), 1e-6), 3 * d);
+      return p.clone().addScaledVector(m, len);
+    })
+  );
+}
+
+/**
+ * Earcut covers the outline exactly (it occasionally drops a sliver or a
+ * region). Checked with ExtrudeGeometry's winding: clockwise outer,
+ * counter-clockwise holes. Every outline edge must border exactly one
+ * triangle and every inner edge two facing ones, otherwise the lid leaves
+ * the extrusion open; the area check catches folded triangles.
+ */
+export function triangulatesCleanly(contour) {
+  const outer = [...contour.outer].reverse();
+  const holes = contour.holes.map((h) => [...h].reverse());
+  const tris = THREE.ShapeUtils.triangulateShape(outer, holes);
+  const pts = [...outer, ...holes.flat()];
+  const key = (i) => `${pts[i].x},${pts[i].y}`;
+  // undirected edge → [uses low → high, uses high → low]
+  const edges = new Map();
+  const countEdge = (a, b) => {
+    const ka = key(a);
+    const kb = key(b);
+    if (ka === kb) return;
+    const k = ka < kb ? `${ka} ${kb}` : `${kb} ${ka}`;
+    const e = edges.get(k) || [0, 0];
+    e[ka < kb ? 0 : 1]++;
+    edges.set(k, e);
+  };
+  let got = 0;
+  for (const [a, b, c] of tris) {
+    got += Math.abs(THREE.ShapeUtils.area([pts[a], pts[b], pts[c]]));
+    countEdge(a, b);
+    countEdge(b, c);
+    countEdge(c, a);
+  }
+  const outline = new Set();
+  let start = 0;
+  for (const ring of [outer, ...holes]) {
+    for (let i = 0; i < ring.length; i++) {
+      const ka = key(start + i);
+      const kb = key(start + ((i + 1) % ring.length));
+      const k = ka < kb ? `${ka} ${kb}` : `${kb} ${ka}`;
+      const e = edges.get(k);
+      if (!e || e[0] + e[1] !== 1) return false;
+      outline.add(k);
+    }
+    start += ring.length;
+  }
+  for (const [k, [up, down]] of edges)
+    if (!outline.has(k) && (up !== 1 || down !== 1)) return false;
+  const want =
+    Math.abs(THREE.ShapeUtils.area(outer)) -
+    holes.reduce((s, h) => s + Math.abs(THREE.ShapeUtils.area(h)), 0);
+  return Math.abs(got - want) <= Math.abs(want) * 1e-3;
+}
+
+/**
+ * Outline contours of one character at `size` (font size, as Text3D), with x
+ * stretched by `widthScale`. Outer contours are counter-clockwise, holes
+ * clockwise (THREE.ShapeUtils convention). With `watertight`, curve
+ * sampling is varied until every contour triangulates cleanly, so solids
+ * extruded from them are closed.
+ */
+export function glyphContours(
+  font,
+  char,
+  size,
+  widthScale = 1,
+  divisions = 8,
+  watertight = false
+) {
+  const shapes = font.generateShapes(char, size);
+  const sample = (div) =>
+    shapes.map((shape) => {
+      const { shape: outer, holes } = shape.extractPoints(div);
+      const fix = (pts) =>
+        pts.map((p) => new THREE.Vector2(p.x * widthScale, p.y));
+      return {
+        outer: cleanRing(fix(outer), true),
+        holes: holes.map((h) => cleanRing(fix(h), false)),
+      };
+    });
+  if (!watertight) return sample(divisions);
+  for (const div of [divisions, divisions + 4, divisions - 2, divisions + 2]) {
+    const contours = sample(div);
+    if (contours.every(triangulatesCleanly)) return contours;
+  }
+  return sample(divisions);
+}
+
+/**
+ * Filled area, outline perimeter, mean stroke width and vertical extent
+ * (`bottom`, `top`, from the baseline) of a character. Stroke width ≈
+ * 2·area / perimeter, which is exact for a long thin stroke.
+ */
+export function glyphMetrics(font, char, size, widthScale = 1) {
+  let area = 0;
+  let perimeter = 0;
+  let bottom = Infinity;
+  let top = -Infinity;
+  for (const { outer, holes } of glyphContours(font, char, size, widthScale)) {
+    area += Math.abs(THREE.ShapeUtils.area(outer));
+    perimeter += ringLength(outer);
+    for (const p of outer) {
+      bottom = Math.min(bottom, p.y);
+      top = Math.max(top, p.y);
+    }
+    for (const h of holes) {
+      area -= Math.abs(THREE.ShapeUtils.area(h));
+      perimeter += ringLength(h);
+    }
+  }
+  return {
+    area,
+    perimeter,
+    strokeWidth: perimeter > 0 ? (2 * area) / perimeter : 0,
+    bottom: top >= bottom ? bottom : 0,
+    top: top >= bottom ? top : 0,
+  };
+}
+
+/**
+ * Cap height at font size `size`: the top of a flat capital H above the
+ * baseline, which is how sign letter heights are specified.
+ */
+export const capHeight = (font, size) => glyphMetrics(font, 'H', size).top;
+
+/**
+ * Every visible character of a line laid out as Text3D does it (glyph
+ * advances, whole line centred on its bounding box), in the line's local
+ * frame with x stretched by `widthScale`.
+ * @returns {{ char: string, contours: { outer, holes }[] }[]}
+ */
+export function lineGlyphs(
+  font,
+  text,
+  size,
+  widthScale = 1,
+  { divisions = 8, watertight = false } = {}
+) {
+  const scale = size / font.data.resolution;
+  let advance = 0;
+  const out = [];
+  for (const char of Array.from(text)) {
+    const glyph = font.data.glyphs[char] || font.data.glyphs['?'];
+    if (char.trim()) {
+      const contours = glyphContours(
+        font,
+        char,
+        size,
+        1,
+        divisions,
+        watertight
+      );
+      contours.forEach(({ outer, holes }) =>
+        [outer, ...holes].forEach((ring) =>
+          ring.forEach((p) => (p.x += advance))
+        )
+      );
+      out.push({ char, contours });
+    }
+    advance += (glyph?.ha || 0) * scale;
+  }
+  const box = new THREE.Box2();
+  out.forEach((g) =>
+    g.contours.forEach(({ outer }) =>
+      outer.forEach((p) => box.expandByPoint(p))
+    )
+  );
+  if (box.isEmpty()) return out;
+  const c = box.getCenter(new THREE.Vector2());
+  out.forEach((g) =>
+    g.contours.forEach(({ outer, holes }) =>
+      [outer, ...holes].forEach((ring) =>
+        ring.forEach((p) => p.set((p.x - c.x) * widthScale, p.y - c.y))
+      )
+    )
+  );
+  return out;
+}
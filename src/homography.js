@@ -0,0 +1,102 @@
+/* ───────────────────────── Homography (projective 2D) ───────────────────────── */
+
+// Plain-array math (no three) so it can also run inside Web Workers.
+// A homography is a row-major 3×3 array [h00, h01, h02, h10, …, h22].
+
+/** Solve A·x = b (n×n) by Gaussian elimination with partial pivoting. */
+export function solveLinear(A, b) {
+  const n = b.length;
+  const M = A.map((row, i) => [...row, b[i]]);
+  for (let c = 0; c < n; c++) {
+    let r = c;
+    for (let i = c + 1; i < n; i++)
+      if (Math.abs(M[i][c]) > Math.abs(M[r][c])) r = i;
+    if (Math.abs(M[r][c]) < 1e-12) return null;
+    [M[c], M[r]] = [M[r], M[c]];
+    for (let i = c + 1; i < n; i++) {
+      const f = M[i][c] / M[c][c];
+      for (let j = c; j <= n; j++) M[i][j] -= f * M[c][j];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let i = n - 1; i >= 0; i--) {
+    let s = M[i][n];
+    for (let j = i + 1; j < n; j++) s -= M[i][j] * x[j];
+    x[i] = s / M[i][i];
+  }
+  return x;
+}
+
+/**
+ * Exact 8-DOF homography mapping four `from` points onto four `to` points
+ * (h22 fixed to 1). Returns null for degenerate (collinear) input.
+ */
+export function solveHomography(from, to) {
+  const A = [];
+  const b = [];
+  for (let i = 0; i < 4; i++) {
+    const { x, y } = from[i];
+    const { x: X, y: Y } = to[i];
+    A.push([x, y, 1, 0, 0, 0, -x * X, -y * X]);
+    b.push(X);
+    A.push([0, 0, 0, x, y, 1, -x * Y, -y * Y]);
+    b.push(Y);
+  }
+  const h = solveLinear(A, b);
+  return h ? [...h, 1] : null;
+}
+
+export function applyHomography(H, { x, y }) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w,
+  };
+}
+
+/** Local (Jacobian) area scale of H around a point; used for depth. */
+export function homographyLocalScale(H, p = { x: 0, y: 0 }) {
+  const w = H[6] * p.x + H[7] * p.y + H[8];
+  const q = applyHomography(H, p);
+  const a = (H[0] - H[6] * q.x) / w;
+  const b = (H[1] - H[7] * q.x) / w;
+  const c = (H[3] - H[6] * q.y) / w;
+  const d = (H[4] - H[7] * q.y) / w;
+  return Math.sqrt(Math.abs(a * d - b * c));
+}
+
+/** Quad is convex and consistently wound (no bow-tie from mis-ordering). */
+export function isConvexQuad(pts) {
+  let sign = 0;
+  for (let i = 0; i < 4; i++) {
+    const a = pts[i];
+    const b = pts[(i + 1) % 4];
+    const c = pts[(i + 2) % 4];
+    const z = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+    if (Math.abs(z) < 1e-9) return false;
+    if (sign && Math.sign(z) !== sign) return false;
+    sign = Math.sign(z);
+  }
+  return true;
+}
+
+/** Inverse of H (adjugate / determinant), null when singular. */
+export function invertHomography(H) {
+  const [a, b, c, d, e, f, g, h, i] = H;
+  const A = e * i - f * h;
+  const B = f * g - d * i;
+  const C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  if (Math.abs(det) < 1e-12) return null;
+  return [
+    A / det,
+    (c * h - b * i) / det,
+    (b * f - c * e) / det,
+    B / det,
+    (a * i - c * g) / det,
+    (c * d - a * f) / det,
+    C / det,
+    (b * g - a * h) / det,
+    (a * e - b * d) / det,
+  ];
+}
@@ -0,0 +1,264 @@
+/* ───────────────────────── Inpainting worker ───────────────────────── */
+
+// Exemplar-based inpainting (Criminisi et al.): the hole is filled from its
+// border inwards, the most constrained patch first (well-known surroundings,
+// strong edges running into the hole), each time by copying the best
+// matching fully known patch nearby. Only the copy offsets are returned so
+// the caller can repeat the copy at full photo resolution.
+//
+// in:  { type: 'inpaint', image: { width, height, data }, mask }
+//      mask is a Uint8Array (width × height), 1 = fill
+// out: { type: 'result', offsets }
+//      offsets is an Int16Array of [dx, dy] per pixel (source − target),
+//      0, 0 outside the hole
+//      { type: 'error', message }
+
+const P = 4; // patch radius (9 × 9)
+const MAX_WINDOW = 64; // local search radius
+const WIDE_STEP = 3; // candidate stride when searching the whole image
+
+function inpaint(w, h, data, mask) {
+  const n = w * h;
+  const img = new Float32Array(n * 3);
+  const known = new Uint8Array(n);
+  const conf = new Float32Array(n);
+  const offsets = new Int16Array(n * 2);
+  let hx0 = w;
+  let hy0 = h;
+  let hx1 = -1;
+  let hy1 = -1;
+  for (let i = 0; i < n; i++) {
+    img[i * 3] = data[i * 4];
+    img[i * 3 + 1] = data[i * 4 + 1];
+    img[i * 3 + 2] = data[i * 4 + 2];
+    known[i] = mask[i] ? 0 : 1;
+    conf[i] = known[i];
+    if (mask[i]) {
+      const x = i % w;
+      const y = (i / w) | 0;
+      hx0 = Math.min(hx0, x);
+      hy0 = Math.min(hy0, y);
+      hx1 = Math.max(hx1, x);
+      hy1 = Math.max(hy1, y);
+    }
+  }
+  if (hx1 < 0) return offsets;
+
+  // source patches: entirely inside the image and the original known area
+  const sum = new Int32Array((w + 1) * (h + 1));
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++)
+      sum[(y + 1) * (w + 1) + x + 1] =
+        (mask[y * w + x] ? 1 : 0) +
+        sum[y * (w + 1) + x + 1] +
+        sum[(y + 1) * (w + 1) + x] -
+        sum[y * (w + 1) + x];
+  const holeIn = (x0, y0, x1, y1) =>
+    sum[(y1 + 1) * (w + 1) + x1 + 1] -
+    sum[y0 * (w + 1) + x1 + 1] -
+    sum[(y1 + 1) * (w + 1) + x0] +
+    sum[y0 * (w + 1) + x0];
+  const valid = new Uint8Array(n);
+  for (let y = P; y < h - P; y++)
+    for (let x = P; x < w - P; x++)
+      valid[y * w + x] = holeIn(x - P, y - P, x + P, y + P) === 0 ? 1 : 0;
+
+  const R = Math.min(MAX_WINDOW, Math.max(3 * P, hx1 - hx0, hy1 - hy0));
+  const step = R > MAX_WINDOW / 2 ? 2 : 1;
+  const gray = (i) =>
+    0.299 * img[i * 3] + 0.587 * img[i * 3 + 1] + 0.114 * img[i * 3 + 2];
+
+  const onFront = (i) => {
+    if (known[i]) return false;
+    const x = i % w;
+    const y = (i / w) | 0;
+    return (
+      (x > 0 && known[i - 1]) ||
+      (x < w - 1 && known[i + 1]) ||
+      (y > 0 && known[i - w]) ||
+      (y < h - 1 && known[i + w])
+    );
+  };
+
+  // confidence of the surroundings × how strongly an edge runs into the hole
+  const priority = (i) => {
+    const x = i % w;
+    const y = (i / w) | 0;
+    let c = 0;
+    let area = 0;
+    let gx = 0;
+    let gy = 0;
+    let gm = 0;
+    for (let yy = Math.max(0, y - P); yy <= Math.min(h - 1, y + P); yy++) {
+      for (let xx = Math.max(0, x - P); xx <= Math.min(w - 1, x + P); xx++) {
+        const j = yy * w + xx;
+        c += conf[j];
+        area++;
+        if (xx < 1 || yy < 1 || xx >= w - 1 || yy >= h - 1) continue;
+        if (!known[j - 1] || !known[j + 1] || !known[j - w] || !known[j + w])
+          continue;
+        const dx = (gray(j + 1) - gray(j - 1)) / 2;
+        const dy = (gray(j + w) - gray(j - w)) / 2;
+        const m = dx * dx + dy * dy;
+        if (m > gm) {
+          gm = m;
+          gx = dx;
+          gy = dy;
+        }
+      }
+    }
+    // front normal from the known / unknown boundary
+    const k = (xx, yy) =>
+      xx < 0 || yy < 0 || xx >= w || yy >= h ? 1 : known[yy * w + xx];
+    let nx = k(x + 1, y) - k(x - 1, y);
+    let ny = k(x, y + 1) - k(x, y - 1);
+    const nl = Math.hypot(nx, ny) || 1;
+    nx /= nl;
+    ny /= nl;
+    // isophote = gradient turned by 90°
+    const d = Math.abs(-gy * nx + gx * ny) / 255;
+    return (c / area) * (d + 0.01);
+  };
+
+  // sum of squared differences over the known pixels of the target patch
+  const ssd = (px, py, qx, qy, limit) => {
+    let s = 0;
+    for (let dy = -P; dy <= P; dy++) {
+      const ty = py + dy;
+      if (ty < 0 || ty >= h) continue;
+      for (let dx = -P; dx <= P; dx++) {
+        const tx = px + dx;
+        if (tx < 0 || tx >= w) continue;
+        const t = ty * w + tx;
+        if (!known[t]) continue;
+        const u = (qy + dy) * w + qx + dx;
+        const r = img[t * 3] - img[u * 3];
+        const g = img[t * 3 + 1] - img[u * 3 + 1];
+        const b = img[t * 3 + 2] - img[u * 3 + 2];
+        s += r * r + g * g + b * b;
+        if (s >= limit) return s;
+      }
+    }
+    return s;
+  };
+
+  const bestSource = (px, py, x0, y0, x1, y1, stride) => {
+    let best = null;
+    let bestD = Infinity;
+    for (
+      let qy = Math.max(P, y0);
+      qy <= Math.min(h - P - 1, y1);
+      qy += stride
+    ) {
+      for (
+        let qx = Math.max(P, x0);
+        qx <= Math.min(w - P - 1, x1);
+        qx += stride
+      ) {
+        if (!valid[qy * w + qx]) continue;
+        // a hair of distance breaks ties towards nearby texture
+        const d =
+          ssd(px, py, qx, qy, bestD) + 1e-3 * ((qx - px) ** 2 + (qy - py) ** 2);
+        if (d < bestD) {
+          bestD = d;
+          best = { x: qx, y: qy };
+        }
+      }
+    }
+    return best;
+  };
+
+  // an originally known pixel closest to `i` (Chebyshev rings)
+  const nearestKnown = (i) => {
+    const x = i % w;
+    const y = (i / w) | 0;
+    for (let r = 1; r < Math.max(w, h); r++)
+      for (let yy = Math.max(0, y - r); yy <= Math.min(h - 1, y + r); yy++)
+        for (let xx = Math.max(0, x - r); xx <= Math.min(w - 1, x + r); xx++)
+          if (!mask[yy * w + xx]) return yy * w + xx;
+    return i;
+  };
+
+  const front = new Set();
+  const pr = new Float32Array(n).fill(NaN);
+  for (let y = hy0; y <= hy1; y++)
+    for (let x = hx0; x <= hx1; x++)
+      if (onFront(y * w + x)) front.add(y * w + x);
+
+  while (front.size) {
+    let p = -1;
+    let pBest = -Infinity;
+    for (const i of front) {
+      if (Number.isNaN(pr[i])) pr[i] = priority(i);
+      if (pr[i] > pBest) {
+        pBest = pr[i];
+        p = i;
+      }
+    }
+    const px = p % w;
+    const py = (p / w) | 0;
+    const q =
+      bestSource(px, py, px - R, py - R, px + R, py + R, step) ||
+      bestSource(px, py, 0, 0, w - 1, h - 1, WIDE_STEP);
+
+    let c = 0;
+    let area = 0;
+    for (let yy = Math.max(0, py - P); yy <= Math.min(h - 1, py + P); yy++)
+      for (let xx = Math.max(0, px - P); xx <= Math.min(w - 1, px + P); xx++) {
+        c += conf[yy * w + xx];
+        area++;
+      }
+    for (let dy = -P; dy <= P; dy++) {
+      for (let dx = -P; dx <= P; dx++) {
+        const tx = px + dx;
+        const ty = py + dy;
+        if (tx < 0 || ty < 0 || tx >= w || ty >= h) continue;
+        const t = ty * w + tx;
+        if (known[t]) continue;
+        // no source patch anywhere (the hole is nearly the whole image):
+        // pull from the front pixel's nearest known neighbour instead
+        const s = q ? (q.y + dy) * w + q.x + dx : nearestKnown(p);
+        img[t * 3] = img[s * 3];
+        img[t * 3 + 1] = img[s * 3 + 1];
+        img[t * 3 + 2] = img[s * 3 + 2];
+        offsets[t * 2] = q ? q.x - px : (s % w) - tx;
+        offsets[t * 2 + 1] = q ? q.y - py : ((s / w) | 0) - ty;
+        known[t] = 1;
+        conf[t] = c / area;
+        front.delete(t);
+      }
+    }
+    for (
+      let yy = Math.max(0, py - 2 * P - 1);
+      yy <= Math.min(h - 1, py + 2 * P + 1);
+      yy++
+    ) {
+      for (
+        let xx = Math.max(0, px - 2 * P - 1);
+        xx <= Math.min(w - 1, px + 2 * P + 1);
+        xx++
+      ) {
+        const j = yy * w + xx;
+        pr[j] = NaN;
+        if (
+          Math.abs(xx - px) <= P + 1 &&
+          Math.abs(yy - py) <= P + 1 &&
+          onFront(j)
+        )
+          front.add(j);
+      }
+    }
+  }
+  return offsets;
+}
+
+self.onmessage = (e) => {
+  const { type, image, mask } = e.data || {};
+  if (type !== 'inpaint') return;
+  try {
+    const offsets = inpaint(image.width, image.height, image.data, mask);
+    self.postMessage({ type: 'result', offsets }, [offsets.buffer]);
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
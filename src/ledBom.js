@@ -0,0 +1,173 @@
+/* ───────────────────────── LED bill of materials ───────────────────────── */
+
+// Module counts per letter from the glyph outline (inches), wattage and
+// power-supply sizing. Layout rule of thumb: modules run along the stroke
+// centre-line (≈ half the outline perimeter), one row per `rowSpacing` of
+// stroke width, `pitch` apart along the row.
+
+export const LED_DEFAULTS = {
+  front: { pitchIn: 3, rowSpacingIn: 3, label: 'Front-lit' },
+  halo: { pitchIn: 4, rowSpacingIn: 4, label: 'Reverse halo' },
+  panelGridIn: 6, // light-box module grid for lit pan faces
+  moduleWatts: 0.72, // 3-LED 12 V module
+  minStrokeIn: 1.25, // narrower strokes need LED strip, not modules
+  psuSizesW: [60, 100, 150, 300],
+  psuLoad: 0.8, // load a supply to at most 80 %
+};
+
+/** Smallest supply that carries `watts`, or several of the largest. */
+export function pickPowerSupplies(watts, opts = LED_DEFAULTS) {
+  if (watts <= 0) return { count: 0, sizeW: 0 };
+  const sizes = [...opts.psuSizesW].sort((a, b) => a - b);
+  const fit = sizes.find((s) => watts <= s * opts.psuLoad);
+  if (fit) return { count: 1, sizeW: fit };
+  const max = sizes[sizes.length - 1];
+  return { count: Math.ceil(watts / (max * opts.psuLoad)), sizeW: max };
+}
+
+export function modulesForGlyph(
+  { area, perimeter, strokeWidth },
+  style,
+  opts = LED_DEFAULTS
+) {
+  const { pitchIn, rowSpacingIn } = opts[style];
+  if (area <= 0) return { modules: 0, narrow: false };
+  const rows = Math.max(1, Math.ceil(strokeWidth / rowSpacingIn));
+  const run = perimeter / 2;
+  return {
+    modules: Math.max(1, Math.ceil((rows * run) / pitchIn)),
+    narrow: strokeWidth < opts.minStrokeIn,
+  };
+}
+
+/**
+ * @param {object} d
+ * @param {'front'|'halo'|'none'} d.style
+ * @param {{ text: string,
+ *           glyphs: { char: string, area: number, perimeter: number,
+ *                     strokeWidth: number }[],
+ *           racewayLengthIn: number|null }[]} d.lines   glyphs in inches
+ * @param {{ wIn: number, hIn: number }|null} d.panel  lit pan face
+ * @returns null for non-lit designs
+ */
+export function estimateLedBom(d, opts = LED_DEFAULTS) {
+  if (d.style !== 'front' && d.style !== 'halo') return null;
+  const rows = d.lines.map((ln, i) => {
+    const letters = ln.glyphs.map((g) => ({
+      char: g.char,
+      strokeIn: g.strokeWidth,
+      ...modulesForGlyph(g, d.style, opts),
+    }));
+    const modules = letters.reduce((s, l) => s + l.modules, 0);
+    const watts = modules * opts.moduleWatts;
+    const psu = pickPowerSupplies(watts, opts);
+    return {
+      name: `Line ${i + 1}`,
+      text: ln.text.trim(),
+      letters,
+      modules,
+      watts,
+      psu,
+      placement: psuPlacement(psu.count, ln.racewayLengthIn),
+      narrow: letters.filter((l) => l.narrow).map((l) => l.char),
+    };
+  });
+  if (d.panel) {
+    const modules =
+      Math.ceil(d.panel.wIn / opts.panelGridIn) *
+      Math.ceil(d.panel.hIn / opts.panelGridIn);
+    const watts = modules * opts.moduleWatts;
+    const psu = pickPowerSupplies(watts, opts);
+    rows.push({
+      name: 'Panel',
+      text: `${d.panel.wIn.toFixed(0)}″ × ${d.panel.hIn.toFixed(0)}″ face`,
+      letters: [],
+      modules,
+      watts,
+      psu,
+      placement: 'Inside the cabinet, behind the face',
+      narrow: [],
+    });
+  }
+  const modules = rows.reduce((s, r) => s + r.modules, 0);
+  const watts = rows.reduce((s, r) => s + r.watts, 0);
+  const supplies = {};
+  for (const r of rows) {
+    if (r.psu.count)
+      supplies[r.psu.sizeW] = (supplies[r.psu.sizeW] || 0) + r.psu.count;
+  }
+  return { style: d.style, rows, modules, watts, supplies };
+}
+
+// Where the supplies go: spread along the raceway at equal spacing, or a
+// remote location when the letters are flush-mounted.
+function psuPlacement(count, racewayLengthIn) {
+  if (!count) return '';
+  if (!racewayLengthIn)
+    return 'Remote, behind the wall (no raceway); plan penetrations per letter';
+  const at = Array.from({ length: count }, (_, i) =>
+    (((i + 0.5) / count) * racewayLengthIn).toFixed(0)
+  );
+  return `In raceway, ${at.map((x) => `${x}″`).join(', ')} from the left end`;
+}
+
+const csvCell = (v) => {
+  const s = String(v ?? '');
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+export function bomToCsv(bom, opts = LED_DEFAULTS) {
+  const out = [
+    [
+      'Section',
+      'Text',
+      'Letter',
+      'Stroke (in)',
+      'Modules',
+      'Watts',
+      'Power supplies',
+      'Placement',
+      'Notes',
+    ],
+  ];
+  for (const r of bom.rows) {
+    for (const l of r.letters) {
+      out.push([
+        r.name,
+        r.text,
+        l.char,
+        l.strokeIn.toFixed(2),
+        l.modules,
+        (l.modules * opts.moduleWatts).toFixed(1),
+        '',
+        '',
+        l.narrow ? 'Stroke too narrow for modules; use LED strip' : '',
+      ]);
+    }
+    out.push([
+      r.name,
+      r.text,
+      'Subtotal',
+      '',
+      r.modules,
+      r.watts.toFixed(1),
+      r.psu.count ? `${r.psu.count} × ${r.psu.sizeW} W` : '',
+      r.placement,
+      '',
+    ]);
+  }
+  out.push([
+    'Total',
+    opts[bom.style].label,
+    '',
+    '',
+    bom.modules,
+    bom.watts.toFixed(1),
+    Object.entries(bom.supplies)
+      .map(([w, n]) => `${n} × ${w} W`)
+      .join('; '),
+    '',
+    '',
+  ]);
+  return out.map((row) => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,96 @@
+/* ───────────────────────── Light spill onto the wall ───────────────────────── */
+
+// A lightmap of the light a lit sign throws onto the wall around it, in the
+// sign's own frame: the lit outlines rasterised, then spread by the
+// standoff gap (halo) or the face glow (front-lit) with a soft falloff.
+
+import { boxBlur } from './nightGrade';
+
+// Spread radii (in standoffs for halo, letter heights for front-lit) and the
+// weight of the tight and the wide part of the falloff.
+export const SPILL_FALLOFF = {
+  halo: { near: 1.5, far: 5, nearWeight: 1, farWeight: 0.35 },
+  front: { near: 0.08, far: 0.3, nearWeight: 0.3, farWeight: 0.15 },
+};
+
+// ~Gaussian blur: three box passes of radius r / √3 each
+function softBlur(src, w, h, r) {
+  const k = Math.max(1, Math.round(r / Math.sqrt(3)));
+  return boxBlur(boxBlur(boxBlur(src, w, h, k), w, h, k), w, h, k);
+}
+
+/**
+ * @param {{x: number, y: number}[][]} rings  lit outlines (even-odd), sign
+ *   units
+ * @param {object} o
+ * @param {'halo'|'front'} o.style
+ * @param {number} o.standoff  letter-to-wall gap, sign units (halo)
+ * @param {number} o.letterHeight  sign units (front-lit)
+ * @param {number} [o.maxSide]  lightmap resolution
+ * @returns {{ canvas: HTMLCanvasElement, min: {x, y}, max: {x, y} } | null}
+ */
+export function computeLightSpill(
+  rings,
+  { style, standoff, letterHeight, maxSide = 384 }
+) {
+  const f = SPILL_FALLOFF[style];
+  if (!f || !rings.length) return null;
+  const unit = style === 'halo' ? standoff : letterHeight;
+  const near = f.near * unit;
+  const far = f.far * unit;
+
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  rings.forEach((r) =>
+    r.forEach((p) => {
+      minX = Math.min(minX, p.x);
+      minY = Math.min(minY, p.y);
+      maxX = Math.max(maxX, p.x);
+      maxY = Math.max(maxY, p.y);
+    })
+  );
+  if (!(maxX > minX && maxY > minY)) return null;
+  const margin = far * 2;
+  minX -= margin;
+  minY -= margin;
+  maxX += margin;
+  maxY += margin;
+  const px = Math.max(maxX - minX, maxY - minY) / maxSide; // units per pixel
+  const w = Math.max(2, Math.round((maxX - minX) / px));
+  const h = Math.max(2, Math.round((maxY - minY) / px));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.fillStyle = '#fff';
+  ctx.beginPath();
+  for (const ring of rings) {
+    ring.forEach((p, i) => {
+      const x = (p.x - minX) / px;
+      const y = (maxY - p.y) / px; // canvas rows run top-down
+      if (i) ctx.lineTo(x, y);
+      else ctx.moveTo(x, y);
+    });
+    ctx.closePath();
+  }
+  ctx.fill('evenodd');
+
+  const img = ctx.getImageData(0, 0, w, h);
+  const lit = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++) lit[i] = img.data[i * 4 + 3] / 255;
+  const a = softBlur(lit, w, h, near / px);
+  const b = softBlur(lit, w, h, far / px);
+  for (let i = 0; i < w * h; i++) {
+    const v = Math.min(1, a[i] * f.nearWeight + b[i] * f.farWeight);
+    const g = Math.round(255 * v);
+    img.data[i * 4] = g;
+    img.data[i * 4 + 1] = g;
+    img.data[i * 4 + 2] = g;
+    img.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(img, 0, 0);
+  return { canvas, min: { x: minX, y: minY }, max: { x: maxX, y: maxY } };
+}
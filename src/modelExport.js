@@ -0,0 +1,114 @@
+/* ───────────────────────── 3D model export ───────────────────────── */
+
+// Snapshot of the live sign group as a standalone model: visible meshes
+// only (no hidden measuring text, no gizmos), every transform below the
+// sign root baked into the geometry, and unlit preview materials swapped
+// for PBR ones so the sign shades in architectural renderers.
+
+import * as THREE from 'three';
+
+const METERS_PER_INCH = 0.0254;
+
+const isGizmo = (o) =>
+  o.isTransformControlsRoot ||
+  o.isTransformControlsGizmo ||
+  o.isTransformControlsPlane;
+
+function shownUnder(obj, root) {
+  for (let o = obj; o && o !== root; o = o.parent) {
+    if (!o.visible || isGizmo(o)) return false;
+  }
+  return true;
+}
+
+// Turn every triangle around in place (swap its last two corners), e.g.
+// after a mirroring transform. Triangles keep their order, so geometry
+// groups still cover the same faces.
+function flipWinding(geometry) {
+  if (geometry.index) {
+    const a = geometry.index.array;
+    for (let i = 0; i + 2 < a.length; i += 3)
+      [a[i + 1], a[i + 2]] = [a[i + 2], a[i + 1]];
+    geometry.index.needsUpdate = true;
+    return;
+  }
+  for (const attr of Object.values(geometry.attributes)) {
+    for (let v = 0; v + 2 < attr.count; v += 3) {
+      for (let c = 0; c < attr.itemSize; c++) {
+        const t = attr.getComponent(v + 1, c);
+        attr.setComponent(v + 1, c, attr.getComponent(v + 2, c));
+        attr.setComponent(v + 2, c, t);
+      }
+    }
+    attr.needsUpdate = true;
+  }
+}
+
+function toPBR(m) {
+  if (!m || m.isMeshStandardMaterial) return m?.clone();
+  return new THREE.MeshStandardMaterial({
+    name: m.name,
+    color: m.color?.clone(),
+    map: m.map || null,
+    transparent: m.transparent,
+    opacity: m.opacity,
+    side: m.side,
+    roughness: 0.5,
+    metalness: 0,
+  });
+}
+
+/**
+ * Flatten `root` into a new Group in root's local frame, scaled by
+ * `unitScale` (e.g. scene units → metres).
+ */
+export function bakeSignModel(root, unitScale = 1, name = 'Sign') {
+  root.updateWorldMatrix(true, true);
+  const toRoot = new THREE.Matrix4()
+    .makeScale(unitScale, unitScale, unitScale)
+    .multiply(root.matrixWorld.clone().invert());
+  const out = new THREE.Group();
+  out.name = name;
+  const m = new THREE.Matrix4();
+  root.traverse((o) => {
+    if (!o.isMesh || !o.geometry || !shownUnder(o, root)) return;
+    const geometry = o.geometry.clone();
+    geometry.applyMatrix4(m.multiplyMatrices(toRoot, o.matrixWorld));
+    if (m.determinant() < 0) flipWinding(geometry);
+    const material = Array.isArray(o.material)
+      ? o.material.map(toPBR)
+      : toPBR(o.material);
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = o.name || o.parent?.name || '';
+    out.add(mesh);
+  });
+  return out;
+}
+
+/**
+ * @param {THREE.Object3D} root  sign group (letters, raceways, panel, logo)
+ * @param {object} opts
+ * @param {number|null} opts.unitsPerInch  calibration; null keeps scene units
+ * @param {number} [opts.signScale]
+ * @returns {Promise<Blob>} binary glTF
+ */
+export async function exportSignGLB(
+  root,
+  { unitsPerInch = null, signScale = 1, name = 'Sign' } = {}
+) {
+  const { GLTFExporter } =
+    await import('three/examples/jsm/exporters/GLTFExporter');
+  const unitScale = unitsPerInch
+    ? (signScale / unitsPerInch) * METERS_PER_INCH
+    : 1;
+  const model = bakeSignModel(root, unitScale, name);
+  if (!model.children.length) throw new Error('The sign has no visible parts');
+  const scene = new THREE.Scene();
+  scene.add(model);
+  const glb = await new GLTFExporter().parseAsync(scene, {
+    binary: true,
+    onlyVisible: true,
+  });
+  model.traverse((o) => o.geometry?.dispose());
+  return new Blob([glb], { type: 'model/gltf-binary' });
+}
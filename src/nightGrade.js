@@ -0,0 +1,115 @@
+/* ───────────────────────── Night grade of the photo ───────────────────────── */
+
+// Turns the daylight building photo into a night shot on the GPU instead of
+// laying a black overlay over it: desaturate, shift towards blue, compress
+// luminance, and keep (warm up) the light sources that are already in the
+// photo — lit windows, street lights — found by `highlightMask`.
+
+/** Separable box blur of a w×h float image (running sums, clamped edges). */
+export function boxBlur(src, w, h, r) {
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  const pass = (from, to, len, count, stride, step) => {
+    for (let line = 0; line < count; line++) {
+      const base = line * stride;
+      let sum = 0;
+      for (let i = -r; i <= r; i++)
+        sum += from[base + Math.min(len - 1, Math.max(0, i)) * step];
+      for (let i = 0; i < len; i++) {
+        to[base + i * step] = sum / (2 * r + 1);
+        const add = Math.min(len - 1, i + r + 1);
+        const drop = Math.max(0, i - r);
+        sum += from[base + add * step] - from[base + drop * step];
+      }
+    }
+  };
+  pass(src, tmp, w, h, w, 1); // rows
+  pass(tmp, out, h, w, 1, w); // columns
+  return out;
+}
+
+const smoothstep = (a, b, x) => {
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * Where the photo has its own light sources: pixels that are bright and
+ * clearly brighter than their surroundings (so a sunlit white wall or the
+ * sky doesn't count), softened into a glow. Returns a greyscale canvas the
+ * size of `imageData`, white = keep lit at night.
+ */
+export function highlightMask(
+  imageData,
+  { threshold = 0.7, contrast = 0.15, radius = 0.03 } = {}
+) {
+  const { width: w, height: h, data } = imageData;
+  const lum = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++)
+    lum[i] =
+      (0.2126 * data[i * 4] +
+        0.7152 * data[i * 4 + 1] +
+        0.0722 * data[i * 4 + 2]) /
+      255;
+  const r = Math.max(2, Math.round(Math.max(w, h) * radius));
+  const local = boxBlur(lum, w, h, r);
+  const raw = new Float32Array(w * h);
+  for (let i = 0; i < w * h; i++)
+    raw[i] =
+      smoothstep(threshold - 0.1, threshold + 0.1, lum[i]) *
+      smoothstep(0, contrast, lum[i] - local[i]);
+  // a little bloom so points of light read as sources, not specks
+  const glow = boxBlur(raw, w, h, Math.max(1, Math.round(r / 4)));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  const out = ctx.createImageData(w, h);
+  for (let i = 0; i < w * h; i++) {
+    const v = Math.round(255 * Math.min(1, Math.max(raw[i], glow[i] * 2)));
+    out.data[i * 4] = v;
+    out.data[i * 4 + 1] = v;
+    out.data[i * 4 + 2] = v;
+    out.data[i * 4 + 3] = 255;
+  }
+  ctx.putImageData(out, 0, 0);
+  return canvas;
+}
+
+/**
+ * Night-grade a MeshBasicMaterial's map (use from `onBeforeCompile`).
+ * `uniforms` must hold `uNight` (0 = day … 1 = night) and `uNightMask`
+ * (a highlightMask texture, or null).
+ */
+export function applyNightGrade(shader, uniforms) {
+  shader.uniforms.uNight = uniforms.uNight;
+  shader.uniforms.uNightMask = uniforms.uNightMask;
+  shader.uniforms.uHasMask = uniforms.uHasMask;
+  shader.fragmentShader = shader.fragmentShader
+    .replace(
+      'void main() {',
+      /* glsl */ `uniform float uNight;
+uniform sampler2D uNightMask;
+uniform bool uHasMask;
+void main() {`
+    )
+    .replace(
+      '#include <map_fragment>',
+      /* glsl */ `#include <map_fragment>
+#ifdef USE_MAP
+{
+  vec3 day = diffuseColor.rgb;
+  float lum = dot(day, vec3(0.2126, 0.7152, 0.0722));
+  // desaturate and shift towards moonlight blue
+  vec3 night = mix(day, vec3(lum), 0.7) * vec3(0.55, 0.68, 1.1);
+  // compress luminance: shadows stay readable, highlights are pulled down hard
+  night *= 0.22 / (1.0 + 1.5 * lum);
+  // light sources already in the photo stay on, a little warmer and brighter
+  float lit = uHasMask ? texture2D(uNightMask, vMapUv).r : 0.0;
+  night = mix(night, day * vec3(1.25, 1.1, 0.85), lit);
+  diffuseColor.rgb = mix(day, night, uNight);
+}
+#endif`
+    );
+}
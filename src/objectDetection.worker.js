@@ -0,0 +1,69 @@
+/* ───────────────────────── Object detection worker ───────────────────────── */
+
+// COCO-SSD (lite MobileNet v2) on the tfjs CPU backend, so it runs the same
+// everywhere and keeps the preview's WebGL contexts to themselves. The model
+// is loaded once, from weights served by the app itself
+// (public/models/coco-ssd/model.json + its weight shards, downloaded by
+// `npm run fetch-models`), and reused.
+//
+// in:  { type: 'detect', modelUrl, classes, image: { width, height, data } }
+// out: { type: 'result', detections: [{ label, score, box }] }
+//      box is { u0, v0, u1, v1 } in photo uv (0…1, top-left origin)
+//      { type: 'error', message }
+
+import * as tf from '@tensorflow/tfjs';
+import * as cocoSsd from '@tensorflow-models/coco-ssd';
+
+const MAX_BOXES = 30;
+const MIN_SCORE = 0.4;
+
+let modelPromise = null;
+
+function loadModel(modelUrl) {
+  if (!modelPromise) {
+    modelPromise = (async () => {
+      // without the weights the dev server answers with index.html, which
+      // would surface as a JSON parse error
+      const res = await fetch(modelUrl, { method: 'HEAD' });
+      if (!res.ok || !/json/.test(res.headers.get('content-type') || ''))
+        throw new Error(
+          'COCO-SSD weights not found in public/models/coco-ssd; run `npm run fetch-models` (see README).'
+        );
+      await tf.setBackend('cpu');
+      await tf.ready();
+      return cocoSsd.load({ base: 'lite_mobilenet_v2', modelUrl });
+    })();
+    // let a later run retry, e.g. once the weights are in place
+    modelPromise.catch(() => (modelPromise = null));
+  }
+  return modelPromise;
+}
+
+self.onmessage = async (e) => {
+  const { type, modelUrl, classes, image } = e.data || {};
+  if (type !== 'detect') return;
+  try {
+    const model = await loadModel(modelUrl);
+    const pixels = new ImageData(
+      new Uint8ClampedArray(image.data),
+      image.width,
+      image.height
+    );
+    const found = await model.detect(pixels, MAX_BOXES, MIN_SCORE);
+    const detections = found
+      .filter((d) => classes.includes(d.class))
+      .map(({ class: label, score, bbox: [x, y, w, h] }) => ({
+        label,
+        score,
+        box: {
+          u0: x / image.width,
+          v0: y / image.height,
+          u1: (x + w) / image.width,
+          v1: (y + h) / image.height,
+        },
+      }));
+    self.postMessage({ type: 'result', detections });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err.message || String(err) });
+  }
+};
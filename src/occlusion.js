@@ -0,0 +1,86 @@
+/* ───────────────────────── Occlusion masks ───────────────────────── */
+
+// Foreground regions of the photo (branches, lampposts, awnings) that must
+// stay in front of the sign. Masks are vector shapes in photo uv (0…1,
+// top-left origin) so they save with the project and stay editable:
+//   { id, type: 'polygon', points }               filled region
+//   { id, type: 'stroke', points, radius, erase } brush stroke; radius is a
+//                                                 fraction of the photo width
+// They are applied in order, so an erase stroke cuts whatever came before.
+// Masks made from a detection start as the detection box (`rough: true`,
+// the COCO-SSD class as `label`): a box would hide the sign between a
+// person's limbs too, so it is only a guide to refine and is not applied
+// until its corners are moved or it is accepted as is.
+
+export const MASK_TOOLS = [
+  { key: 'polygon', label: 'Polygon' },
+  { key: 'brush', label: 'Brush' },
+  { key: 'erase', label: 'Eraser' },
+];
+
+// COCO-SSD classes that typically stand between the camera and a facade
+export const OCCLUDER_CLASSES = {
+  person: 'Person',
+  car: 'Car',
+  truck: 'Truck',
+  'potted plant': 'Potted plant',
+};
+
+// longest side of the rasterised mask
+const MASK_MAX_SIDE = 2048;
+
+export const newMaskId = () =>
+  `m${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+/** Polygon mask covering a detection box `{ u0, v0, u1, v1 }`. */
+export const boxMask = ({ u0, v0, u1, v1 }) => ({
+  id: newMaskId(),
+  type: 'polygon',
+  points: [
+    { u: u0, v: v0 },
+    { u: u1, v: v0 },
+    { u: u1, v: v1 },
+    { u: u0, v: v1 },
+  ],
+});
+
+export const boxesOverlap = (a, b) =>
+  a.u0 < b.u1 && b.u0 < a.u1 && a.v0 < b.v1 && b.v0 < a.v1;
+
+/**
+ * Rasterise masks to a canvas at the photo's aspect: opaque white where the
+ * photo is in front of the sign, transparent elsewhere (an alpha map).
+ */
+export function rasterizeMasks(masks, { width, height }) {
+  const k = Math.min(1, MASK_MAX_SIDE / Math.max(width, height));
+  const w = Math.max(1, Math.round(width * k));
+  const h = Math.max(1, Math.round(height * k));
+  const canvas = document.createElement('canvas');
+  canvas.width = w;
+  canvas.height = h;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#fff';
+  ctx.strokeStyle = '#fff';
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  for (const m of masks) {
+    if (m.rough || !m.points?.length) continue;
+    ctx.globalCompositeOperation = m.erase ? 'destination-out' : 'source-over';
+    ctx.beginPath();
+    m.points.forEach((p, i) =>
+      i ? ctx.lineTo(p.u * w, p.v * h) : ctx.moveTo(p.u * w, p.v * h)
+    );
+    if (m.type === 'polygon') {
+      if (m.points.length < 3) continue;
+      ctx.closePath();
+      ctx.fill();
+    } else {
+      // a single click still paints a dot
+      if (m.points.length === 1)
+        ctx.lineTo(m.points[0].u * w + 0.01, m.points[0].v * h);
+      ctx.lineWidth = 2 * m.radius * w;
+      ctx.stroke();
+    }
+  }
+  return canvas;
+}
@@ -0,0 +1,160 @@
+/* ───────────────────────── Price quote ───────────────────────── */
+
+// Itemised estimate from measured design quantities. Rates are the shop's
+// own and are edited in the app; they persist in localStorage.
+
+const STORAGE_KEY = 'sign-mockup.pricing';
+
+export const DEFAULT_PRICING = {
+  letterPerInch: 9, // per letter, per inch of letter height
+  lightingPerInch: { front: 4, halo: 6, none: 0 }, // adder, same basis
+  minLetterHeightIn: 8, // letters smaller than this price as this
+  panelPerSqFt: 45,
+  panelLightingPerSqFt: { front: 30, halo: 35, none: 0 },
+  racewayPerFt: 40,
+  logoPerSqFt: 75,
+  installBase: 450,
+  installPerSqFt: 6,
+  taxPct: 0,
+};
+
+// Labels for the rate editor, in display order.
+export const PRICING_FIELDS = [
+  ['letterPerInch', 'Letters, per inch of height'],
+  ['lightingPerInch.front', 'Front-lit adder, per inch'],
+  ['lightingPerInch.halo', 'Halo adder, per inch'],
+  ['minLetterHeightIn', 'Minimum billed height (in)'],
+  ['panelPerSqFt', 'Panel, per sq ft'],
+  ['panelLightingPerSqFt.front', 'Front-lit panel, per sq ft'],
+  ['panelLightingPerSqFt.halo', 'Halo panel, per sq ft'],
+  ['racewayPerFt', 'Raceway, per ft'],
+  ['logoPerSqFt', 'Logo, per sq ft'],
+  ['installBase', 'Install, base'],
+  ['installPerSqFt', 'Install, per sq ft of sign'],
+  ['taxPct', 'Tax %'],
+];
+
+export const getRate = (pricing, path) =>
+  path.split('.').reduce((o, k) => o?.[k], pricing) ?? 0;
+
+export function setRate(pricing, path, value) {
+  const [head, sub] = path.split('.');
+  return sub
+    ? { ...pricing, [head]: { ...pricing[head], [sub]: value } }
+    : { ...pricing, [head]: value };
+}
+
+export function loadPricing() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+    if (!saved) return DEFAULT_PRICING;
+    return {
+      ...DEFAULT_PRICING,
+      ...saved,
+      lightingPerInch: {
+        ...DEFAULT_PRICING.lightingPerInch,
+        ...saved.lightingPerInch,
+      },
+      panelLightingPerSqFt: {
+        ...DEFAULT_PRICING.panelLightingPerSqFt,
+        ...saved.panelLightingPerSqFt,
+      },
+    };
+  } catch {
+    return DEFAULT_PRICING;
+  }
+}
+
+export function savePricing(pricing) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(pricing));
+  } catch (err) {
+    console.warn('Could not save pricing', err);
+  }
+}
+
+export const formatMoney = (n) =>
+  n.toLocaleString(undefined, { style: 'currency', currency: 'USD' });
+
+/**
+ * @param {object} d
+ * @param {'letters'|'pan'} d.signType
+ * @param {'front'|'halo'|'none'} d.style
+ * @param {{ text: string, letters: number, heightIn: number }[]} d.lines
+ *        lines with visible letters (empty for a plain pan); heightIn is the
+ *        cap height
+ * @param {{ wIn: number, hIn: number }|null} d.panel
+ * @param {number} d.racewayFt    total raceway length, 0 if none
+ * @param {number} d.logoAreaSqIn
+ * @param {number} d.signAreaSqIn enclosing area, for installation
+ * @returns {{ items: {label, qty, unit, rate, amount}[], subtotal, tax, total }}
+ */
+export function quoteDesign(d, pricing = DEFAULT_PRICING) {
+  const items = [];
+  const add = (label, qty, unit, rate) => {
+    if (qty > 0 && rate)
+      items.push({ label, qty, unit, rate, amount: qty * rate });
+  };
+  const sqFt = (sqIn) => sqIn / 144;
+  const lighting = d.style || 'none';
+
+  d.lines.forEach((ln, i) => {
+    const billed = Math.max(pricing.minLetterHeightIn || 0, ln.heightIn);
+    const inches = Math.round(ln.letters * billed * 10) / 10;
+    const name = `Line ${i + 1} “${ln.text.trim()}”`;
+    add(
+      `${name}: ${ln.letters} letters × ${billed.toFixed(1)}″`,
+      inches,
+      'letter-in',
+      pricing.letterPerInch
+    );
+    add(
+      `${name}: ${lighting} lighting`,
+      inches,
+      'letter-in',
+      pricing.lightingPerInch?.[lighting]
+    );
+  });
+
+  if (d.panel) {
+    const area = Math.round(sqFt(d.panel.wIn * d.panel.hIn) * 100) / 100;
+    add(
+      `Panel ${d.panel.wIn.toFixed(0)}″ × ${d.panel.hIn.toFixed(0)}″`,
+      area,
+      'sq ft',
+      pricing.panelPerSqFt
+    );
+    add(
+      `Panel ${lighting} lighting`,
+      area,
+      'sq ft',
+      pricing.panelLightingPerSqFt?.[lighting]
+    );
+  }
+
+  add(
+    'Raceway',
+    Math.round(d.racewayFt * 100) / 100,
+    'ft',
+    pricing.racewayPerFt
+  );
+  add(
+    'Logo',
+    Math.round(sqFt(d.logoAreaSqIn || 0) * 100) / 100,
+    'sq ft',
+    pricing.logoPerSqFt
+  );
+  if (items.length) {
+    add('Installation', 1, 'job', pricing.installBase);
+    add(
+      'Installation, by size',
+      Math.round(sqFt(d.signAreaSqIn || 0) * 100) / 100,
+      'sq ft',
+      pricing.installPerSqFt
+    );
+  }
+
+  const subtotal = items.reduce((s, it) => s + it.amount, 0);
+  const tax = (subtotal * (pricing.taxPct || 0)) / 100;
+  return { items, subtotal, tax, total: subtotal + tax };
+}
@@ -0,0 +1,354 @@
+/* ───────────────────────── 3D-print export ───────────────────────── */
+
+// Printable solids (millimetres) built from outlines, not from the preview
+// meshes: each part is a stack of closed extrusions, so every shell is
+// watertight. Options: hollow letters (face plate + walls, open back) and
+// mounting pin holes in the back (blind holes in solid letters, bosses
+// inside hollow ones).
+
+import * as THREE from 'three';
+import { mergeGeometries } from 'three/examples/jsm/utils/BufferGeometryUtils';
+import { cleanRing, offsetRing, triangulatesCleanly } from './glyphs';
+
+export const PRINT_SCALES = [1, 2, 4, 8, 12, 24, 48]; // 1 : n
+
+export const PRINT_DEFAULTS = {
+  scaleDenominator: 12,
+  hollow: false,
+  wallMm: 1.6,
+  pins: true,
+  pinDiameterMm: 3,
+  pinDepthMm: 5,
+  minDepthMm: 2,
+};
+
+const toShape = (outer, holes = []) => {
+  const s = new THREE.Shape(outer);
+  s.holes = holes.map((h) => new THREE.Path(h));
+  return s;
+};
+
+const circle = (c, r, ccw = true, n = 24) => {
+  const pts = Array.from({ length: n }, (_, i) => {
+    const a = (i / n) * Math.PI * 2;
+    return new THREE.Vector2(c.x + r * Math.cos(a), c.y + r * Math.sin(a));
+  });
+  return ccw ? pts : pts.reverse();
+};
+
+// Extrusion with optional lids (per shape, ExtrudeGeometry lists the bottom
+// lid, then the top lid, then the sides), so stacked layers can share a boundary
+// instead of touching cap-to-cap.
+function extrude(
+  shapes,
+  z0,
+  z1,
+  { bottom = true, top = true, sides = true } = {}
+) {
+  if (!shapes.length || z1 - z0 <= 1e-6) return null;
+  const g = new THREE.ExtrudeGeometry(shapes, {
+    depth: z1 - z0,
+    bevelEnabled: false,
+    curveSegments: 1,
+  });
+  g.translate(0, 0, z0);
+  if (bottom && top && sides) return g;
+  const ranges = g.groups.flatMap(({ start, count, materialIndex }) => {
+    if (materialIndex === 1) return sides ? [[start, count]] : [];
+    const half = count / 2;
+    return [bottom && [start, half], top && [start + half, half]].filter(
+      Boolean
+    );
+  });
+  const out = new THREE.BufferGeometry();
+  for (const [name, attr] of Object.entries(g.attributes)) {
+    const n = attr.itemSize;
+    const arr = new Float32Array(ranges.reduce((s, [, c]) => s + c * n, 0));
+    let o = 0;
+    for (const [a, c] of ranges) {
+      arr.set(attr.array.subarray(a * n, (a + c) * n), o);
+      o += c * n;
+    }
+    out.setAttribute(name, new THREE.BufferAttribute(arr, n));
+  }
+  g.dispose();
+  return out;
+}
+
+function inside(pt, { outer, holes }) {
+  const inRing = (ring) => {
+    let c = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      const a = ring[i];
+      const b = ring[j];
+      if (
+        a.y > pt.y !== b.y > pt.y &&
+        pt.x < ((b.x - a.x) * (pt.y - a.y)) / (b.y - a.y) + a.x
+      )
+        c = !c;
+    }
+    return c;
+  };
+  return inRing(outer) && !holes.some(inRing);
+}
+
+function edgeDistance(pt, { outer, holes }) {
+  let d = Infinity;
+  for (const ring of [outer, ...holes]) {
+    for (let i = 0; i < ring.length; i++) {
+      const a = ring[i];
+      const b = ring[(i + 1) % ring.length];
+      const ab = new THREE.Vector2().subVectors(b, a);
+      const t = Math.max(
+        0,
+        Math.min(
+          1,
+          new THREE.Vector2().subVectors(pt, a).dot(ab) / (ab.lengthSq() || 1)
+        )
+      );
+      d = Math.min(d, pt.distanceTo(a.clone().addScaledVector(ab, t)));
+    }
+  }
+  return d;
+}
+
+/**
+ * Up to two pin positions inside the contour with at least `clearance` to
+ * every edge: the roomiest spot, then the valid spot farthest from it.
+ */
+export function pinPositions(contour, clearance, grid = 16) {
+  const box = new THREE.Box2().setFromPoints(contour.outer);
+  const size = box.getSize(new THREE.Vector2());
+  const step = Math.max(size.x, size.y) / grid;
+  const cands = [];
+  for (let x = box.min.x + step / 2; x < box.max.x; x += step) {
+    for (let y = box.min.y + step / 2; y < box.max.y; y += step) {
+      const p = new THREE.Vector2(x, y);
+      if (!inside(p, contour)) continue;
+      const d = edgeDistance(p, contour);
+      if (d >= clearance) cands.push({ p, d });
+    }
+  }
+  if (!cands.length) return [];
+  cands.sort((a, b) => b.d - a.d);
+  const first = cands[0].p;
+  let second = null;
+  let best = clearance * 4; // keep pins well apart, or use just one
+  for (const { p } of cands) {
+    const dist = p.distanceTo(first);
+    if (dist > best) {
+      best = dist;
+      second = p;
+    }
+  }
+  return second ? [first, second] : [first];
+}
+
+/**
+ * One printable part from outline contours (mm, CCW outers / CW holes).
+ * The face is at z = depth, the back (pins) at z = 0.
+ */
+export function buildSolid(contours, depthMm, opts = PRINT_DEFAULTS) {
+  const depth = Math.max(depthMm, opts.minDepthMm);
+  const wall = Math.min(opts.wallMm, depth / 2);
+  const pinR = opts.pinDiameterMm / 2;
+  const parts = [];
+  // pins go in the largest outline only (not in dots, accents, …)
+  const main = contours.reduce(
+    (a, c) =>
+      !a ||
+      Math.abs(THREE.ShapeUtils.area(c.outer)) >
+        Math.abs(THREE.ShapeUtils.area(a.outer))
+        ? c
+        : a,
+    null
+  );
+  // hollow needs clean insets (how closely inset points may crowd varies
+  // which ones are kept, so a few spacings are tried); strokes too thin for
+  // two walls stay solid
+  const insets = (opts.hollow ? contours : []).map((c) => {
+    for (const k of [8, 4, 16, 6, 12]) {
+      const eps = wall / k;
+      const inset = {
+        outer: cleanRing(offsetRing(c.outer, wall), true, eps),
+        holes: c.holes.map((h) => cleanRing(offsetRing(h, wall), false, eps)),
+      };
+      if (
+        triangulatesCleanly(inset) &&
+        triangulatesCleanly({
+          outer: c.outer,
+          holes: [[...inset.outer].reverse()],
+        }) &&
+        c.holes.every((h, i) =>
+          triangulatesCleanly({
+            outer: [...inset.holes[i]].reverse(),
+            holes: [h],
+          })
+        )
+      )
+        return inset;
+    }
+    return null;
+  });
+  const hollow = opts.hollow && insets.every(Boolean);
+  let pins =
+    opts.pins && main
+      ? pinPositions(main, pinR + (hollow ? 2.5 * wall : wall))
+      : [];
+  // a pin hole or boss that grazes an edge can trip the triangulation of
+  // the back (solid) or the ceiling (hollow)
+  const pinsFit = (list) => {
+    const { outer, holes } = hollow ? insets[contours.indexOf(main)] : main;
+    const r = hollow ? pinR + wall : pinR;
+    return triangulatesCleanly({
+      outer,
+      holes: [...holes, ...list.map((p) => circle(p, r, false))],
+    });
+  };
+  while (pins.length && !pinsFit(pins)) pins = pins.slice(0, -1);
+
+  const pinLids = (z) =>
+    extrude(
+      pins.map((p) => toShape(circle(p, pinR))),
+      z,
+      z + 1,
+      { top: false, sides: false }
+    );
+
+  if (!hollow) {
+    const pinDepth = Math.min(opts.pinDepthMm, depth - wall);
+    const shapes = (withPins) =>
+      contours.map((c) =>
+        toShape(c.outer, [
+          ...c.holes,
+          ...(withPins && c === main
+            ? pins.map((p) => circle(p, pinR, false))
+            : []),
+        ])
+      );
+    if (pins.length && pinDepth > 0) {
+      // back layer with the holes, body above it, hole ceilings between
+      parts.push(extrude(shapes(true), 0, pinDepth, { top: false }));
+      parts.push(extrude(shapes(false), pinDepth, depth, { bottom: false }));
+      parts.push(pinLids(pinDepth));
+    } else {
+      parts.push(extrude(shapes(false), 0, depth));
+    }
+  } else {
+    const z = depth - wall;
+    // face plate: exposed lid and sides, underside only inside the walls
+    const face = contours.map((c) => toShape(c.outer, c.holes));
+    parts.push(extrude(face, z, depth, { bottom: false }));
+    const bosses = pins.map((p) => circle(p, pinR + wall));
+    const ceiling = insets.map((c, i) =>
+      toShape(c.outer, [
+        ...c.holes,
+        ...(contours[i] === main ? bosses.map((b) => [...b].reverse()) : []),
+      ])
+    );
+    parts.push(extrude(ceiling, z, z + 1, { top: false, sides: false }));
+    // walls: the band between each outline and its inset
+    const walls = contours.flatMap((c, i) => [
+      toShape(c.outer, [[...insets[i].outer].reverse()]),
+      ...c.holes.map((h, k) => toShape([...insets[i].holes[k]].reverse(), [h])),
+    ]);
+    parts.push(extrude(walls, 0, z, { top: false }));
+    parts.push(
+      extrude(
+        bosses.map((b, i) => toShape(b, [circle(pins[i], pinR, false)])),
+        0,
+        z,
+        { top: false }
+      )
+    );
+    parts.push(pinLids(z));
+  }
+  const geom = mergeGeometries(parts.filter(Boolean), false);
+  geom.computeVertexNormals();
+  return geom;
+}
+
+/**
+ * @param {{ name: string, contours: {outer, holes}[], depthMm: number }[]} items
+ * @param {object} opts  PRINT_DEFAULTS overrides
+ * @returns {THREE.Mesh[]} one mesh per item, in the shared layout frame
+ */
+export function buildPrintMeshes(items, opts = PRINT_DEFAULTS) {
+  return items
+    .filter((it) => it.contours.length)
+    .map((it) => {
+      const mesh = new THREE.Mesh(
+        buildSolid(it.contours, it.depthMm, opts),
+        new THREE.MeshStandardMaterial()
+      );
+      mesh.name = it.name;
+      return mesh;
+    });
+}
+
+/**
+ * Outline contours of an SVG logo, centred and scaled to `baseWidth` the way
+ * LogoGraphic sizes its extrusion.
+ */
+export async function loadSvgContours(url, baseWidth) {
+  const { SVGLoader } = await import('three/examples/jsm/loaders/SVGLoader');
+  const data = await new SVGLoader().loadAsync(url);
+  const contours = data.paths
+    .flatMap((p) => p.toShapes(true))
+    .map((shape) => {
+      const { shape: outer, holes } = shape.extractPoints(12);
+      return {
+        outer: cleanRing(outer, true),
+        holes: holes.map((h) => cleanRing(h, false)),
+      };
+    })
+    .filter((c) => c.outer.length > 2);
+  const box = new THREE.Box2();
+  contours.forEach((c) => c.outer.forEach((p) => box.expandByPoint(p)));
+  if (box.isEmpty()) return [];
+  const center = box.getCenter(new THREE.Vector2());
+  const s = baseWidth / (box.max.x - box.min.x || 1);
+  contours.forEach(({ outer, holes }) =>
+    [outer, ...holes].forEach((ring) =>
+      ring.forEach((p) => p.sub(center).multiplyScalar(s))
+    )
+  );
+  return contours;
+}
+
+/** Copy of `mesh` moved so its footprint is centred on the origin. */
+export function centered(mesh) {
+  const g = mesh.geometry.clone();
+  g.computeBoundingBox();
+  const c = g.boundingBox.getCenter(new THREE.Vector3());
+  g.translate(-c.x, -c.y, -g.boundingBox.min.z);
+  const m = new THREE.Mesh(g, mesh.material);
+  m.name = mesh.name;
+  return m;
+}
+
+export async function meshesToSTL(meshes) {
+  const { STLExporter } =
+    await import('three/examples/jsm/exporters/STLExporter');
+  const group = new THREE.Group();
+  meshes.forEach((m) => group.add(m));
+  const data = new STLExporter().parse(group, { binary: true });
+  return new Blob([data], { type: 'model/stl' });
+}
+
+export async function meshesToOBJ(meshes) {
+  const { OBJExporter } =
+    await import('three/examples/jsm/exporters/OBJExporter');
+  const group = new THREE.Group();
+  meshes.forEach((m) => group.add(m));
+  return new Blob([new OBJExporter().parse(group)], { type: 'model/obj' });
+}
+
+/** One zip of `{ name, blob }` files, e.g. a part per letter. */
+export async function zipFiles(files) {
+  const { zipSync } = await import('fflate');
+  const entries = {};
+  for (const { name, blob } of files)
+    entries[name] = new Uint8Array(await blob.arrayBuffer());
+  return new Blob([zipSync(entries)], { type: 'application/zip' });
+}
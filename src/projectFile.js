@@ -0,0 +1,92 @@
+/* ───────────────────────── Project (.signproj) files ───────────────────────── */
+
+// A project is a single JSON document: the design state (everything in `S`
+// except Blobs) plus each Blob field embedded as base64 with its name/type,
+// so the photo and logo travel with the file.
+
+export const PROJECT_FORMAT = 'signproj';
+export const PROJECT_VERSION = 1;
+export const PROJECT_EXT = '.signproj';
+
+function blobToBase64(blob) {
+  return new Promise((resolve, reject) => {
+    const r = new FileReader();
+    r.onload = () => resolve(String(r.result).split(',')[1] || '');
+    r.onerror = () => reject(r.error);
+    r.readAsDataURL(blob);
+  });
+}
+
+function base64ToFile(data, name, type) {
+  const bin = atob(data);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return new File([bytes], name || 'file', { type: type || '' });
+}
+
+/**
+ * @param {object} state  design snapshot (no Blobs)
+ * @param {Record<string, Blob|null>} files  Blob fields of the design
+ * @returns {Promise<Blob>}
+ */
+export async function serializeProject(state, files) {
+  const embedded = {};
+  for (const [key, blob] of Object.entries(files)) {
+    if (!blob) continue;
+    embedded[key] = {
+      name: blob.name || key,
+      type: blob.type || '',
+      data: await blobToBase64(blob),
+    };
+  }
+  const doc = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    state,
+    files: embedded,
+  };
+  return new Blob([JSON.stringify(doc)], { type: 'application/json' });
+}
+
+/**
+ * @param {Blob} blob  a .signproj file
+ * @returns {Promise<{ state: object, files: Record<string, File> }>}
+ */
+export async function parseProject(blob) {
+  let doc;
+  try {
+    doc = JSON.parse(await blob.text());
+  } catch {
+    throw new Error('Not a sign project file (invalid JSON)');
+  }
+  // typeof null is 'object' too
+  if (
+    doc?.format !== PROJECT_FORMAT ||
+    !doc.state ||
+    typeof doc.state !== 'object' ||
+    Array.isArray(doc.state)
+  ) {
+    throw new Error('Not a sign project file');
+  }
+  if (doc.version > PROJECT_VERSION) {
+    throw new Error(
+      `Project was saved by a newer version (v${doc.version}); please update`
+    );
+  }
+  const files = {};
+  for (const [key, f] of Object.entries(doc.files || {})) {
+    if (f?.data) files[key] = base64ToFile(f.data, f.name, f.type);
+  }
+  return { state: doc.state, files };
+}
+
+export function projectFileName(text) {
+  const slug = (text || '')
+    .split('\n')[0]
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${slug || 'sign'}${PROJECT_EXT}`;
+}
@@ -0,0 +1,326 @@
+/* ───────────────────────── Client proposal (PDF) ───────────────────────── */
+
+// Everything is drawn in the browser: the elevation onto a 2D canvas, the
+// proposal pages with jsPDF (loaded on demand, like the model exporters).
+
+import { formatMoney } from './pricing';
+
+export const PROPOSAL_FIELDS = [
+  { key: 'customer', label: 'Customer' },
+  { key: 'contact', label: 'Contact' },
+  { key: 'site', label: 'Site address' },
+  { key: 'preparedBy', label: 'Prepared by' },
+];
+
+const INK = '#1f2937';
+const MUTED = '#6b7280';
+const DIM_INK = '#b45309';
+
+// jsPDF's built-in Helvetica only encodes WinAnsi (Latin-1 plus a few
+// typographic marks), so the prime marks formatLength() uses for feet and
+// inches, and the odd symbol, are spelled in ASCII on the PDF pages
+const WIN_ANSI_EXTRA = '€‚ƒ„…†‡ˆ‰Š‹ŒŽ‘’“”•–—˜™š›œžŸ';
+const ASCII_FOR = {
+  '″': '"',
+  '′': "'",
+  '−': '-',
+  '≈': '~',
+  '→': '->',
+  '≤': '<=',
+  '≥': '>=',
+};
+const pdfText = (str) =>
+  String(str).replace(/[\u0100-\u{10ffff}]/gu, (c) =>
+    WIN_ANSI_EXTRA.includes(c) ? c : (ASCII_FOR[c] ?? '?')
+  );
+
+/**
+ * Flat front view of the sign in sign units (y up), scaled to fit.
+ * `shapes` are filled outlines `{ rings, fill, stroke }` (even-odd, so holes
+ * are just more rings), `dims` dimension strings as in the preview overlay
+ * and `logo` an optional `{ image, x, y, w, h, rot }` drawn in place.
+ */
+export function drawElevation({
+  shapes,
+  dims = [],
+  logo = null,
+  width = 1800,
+}) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  const grow = (p) => {
+    if (!p) return;
+    minX = Math.min(minX, p.x);
+    minY = Math.min(minY, p.y);
+    maxX = Math.max(maxX, p.x);
+    maxY = Math.max(maxY, p.y);
+  };
+  shapes.forEach((s) => s.rings.forEach((r) => r.forEach(grow)));
+  dims.forEach((d) => [d.a, d.b].forEach(grow));
+  if (logo) {
+    const r = Math.hypot(logo.w, logo.h) / 2;
+    grow({ x: logo.x - r, y: logo.y - r });
+    grow({ x: logo.x + r, y: logo.y + r });
+  }
+  const margin = 90;
+  const bw = maxX - minX || 1;
+  const bh = maxY - minY || 1;
+  const height = Math.round(
+    Math.min(width * 0.75, (bh / bw) * (width - 2 * margin) + 2 * margin)
+  );
+  const k = Math.min((width - 2 * margin) / bw, (height - 2 * margin) / bh);
+  const ox = (width - bw * k) / 2;
+  const oy = (height - bh * k) / 2;
+  const px = (p) => ({
+    x: ox + (p.x - minX) * k,
+    y: height - oy - (p.y - minY) * k,
+  });
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, width, height);
+  ctx.lineJoin = 'round';
+
+  for (const s of shapes) {
+    ctx.beginPath();
+    for (const ring of s.rings) {
+      ring.forEach((p, i) => {
+        const q = px(p);
+        if (i) ctx.lineTo(q.x, q.y);
+        else ctx.moveTo(q.x, q.y);
+      });
+      ctx.closePath();
+    }
+    if (s.fill) {
+      ctx.fillStyle = s.fill;
+      ctx.fill('evenodd');
+    }
+    ctx.strokeStyle = s.stroke || INK;
+    ctx.lineWidth = 2;
+    ctx.stroke();
+  }
+
+  if (logo?.image) {
+    const c = px(logo);
+    ctx.save();
+    ctx.translate(c.x, c.y);
+    ctx.rotate(-(logo.rot || 0));
+    ctx.drawImage(
+      logo.image,
+      (-logo.w * k) / 2,
+      (-logo.h * k) / 2,
+      logo.w * k,
+      logo.h * k
+    );
+    ctx.restore();
+  }
+
+  ctx.strokeStyle = DIM_INK;
+  ctx.fillStyle = DIM_INK;
+  ctx.font = '28px Helvetica, Arial, sans-serif';
+  ctx.textAlign = 'center';
+  for (const d of dims) {
+    const a = px(d.a);
+    const b = px(d.b);
+    const ang = Math.atan2(b.y - a.y, b.x - a.x);
+    ctx.lineWidth = 1.5;
+    ctx.globalAlpha = 0.5;
+    [
+      [d.from, a],
+      [d.to, b],
+    ].forEach(([f, p]) => {
+      if (!f) return;
+      const q = px(f);
+      ctx.beginPath();
+      ctx.moveTo(q.x, q.y);
+      ctx.lineTo(p.x, p.y);
+      ctx.stroke();
+    });
+    ctx.globalAlpha = 1;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    const t = ang + Math.PI / 4;
+    for (const p of [a, b]) {
+      ctx.moveTo(p.x - 9 * Math.cos(t), p.y - 9 * Math.sin(t));
+      ctx.lineTo(p.x + 9 * Math.cos(t), p.y + 9 * Math.sin(t));
+    }
+    ctx.stroke();
+    const up = ang > Math.PI / 2 || ang < -Math.PI / 2 ? ang + Math.PI : ang;
+    ctx.save();
+    ctx.translate((a.x + b.x) / 2, (a.y + b.y) / 2);
+    ctx.rotate(up);
+    ctx.fillText(d.label, 0, -10);
+    ctx.restore();
+  }
+  return canvas;
+}
+
+/**
+ * The proposal as a PDF blob (US Letter): cover, day / night mockups,
+ * dimensioned elevation, then specifications, quote and approval.
+ * @param {object} p
+ * @param {Record<string, string>} p.info  PROPOSAL_FIELDS values
+ * @param {string} p.title
+ * @param {HTMLCanvasElement} p.day
+ * @param {HTMLCanvasElement} p.night
+ * @param {HTMLCanvasElement|null} p.elevation
+ * @param {string[]} p.sizeNotes  overall / letter sizes, already formatted
+ * @param {{ label: string, value: string }[]} p.specs
+ * @param {{ label: string, color: string }[]} p.callouts
+ * @param {{ items, tax, total }|null} p.quote  quoteDesign() result
+ */
+export async function buildProposalPdf(p) {
+  const { jsPDF } = await import('jspdf');
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const W = doc.internal.pageSize.getWidth();
+  const H = doc.internal.pageSize.getHeight();
+  const M = 54;
+  const date = new Date().toLocaleDateString();
+
+  const text = (str, x, y, { size = 11, color = INK, bold = false } = {}) => {
+    doc.setFont('helvetica', bold ? 'bold' : 'normal');
+    doc.setFontSize(size);
+    doc.setTextColor(color);
+    const lines = doc.splitTextToSize(pdfText(str), W - M - x);
+    doc.text(lines, x, y);
+    return y + lines.length * size * 1.3;
+  };
+  const heading = (str) => {
+    text(str, M, M + 10, { size: 20, bold: true });
+    doc.setDrawColor(MUTED);
+    doc.setLineWidth(0.5);
+    doc.line(M, M + 22, W - M, M + 22);
+    return M + 50;
+  };
+  // image fitted into a box, top-centred; returns the y below it
+  const image = (canvas, y, maxH, fmt = 'JPEG') => {
+    const maxW = W - 2 * M;
+    const k = Math.min(maxW / canvas.width, maxH / canvas.height);
+    const w = canvas.width * k;
+    const h = canvas.height * k;
+    const data =
+      fmt === 'PNG'
+        ? canvas.toDataURL('image/png')
+        : canvas.toDataURL('image/jpeg', 0.88);
+    doc.addImage(data, fmt, (W - w) / 2, y, w, h);
+    return y + h;
+  };
+  const ensure = (y, need) => {
+    if (y + need <= H - M) return y;
+    doc.addPage();
+    return M;
+  };
+
+  // cover
+  let y = text('Signage Proposal', M, M + 20, { size: 28, bold: true });
+  y = text(p.title, M, y + 4, { size: 16, color: MUTED });
+  y += 12;
+  for (const { key, label } of PROPOSAL_FIELDS) {
+    if (!p.info?.[key]) continue;
+    text(label, M, y, { size: 10, color: MUTED });
+    y = text(p.info[key], M + 110, y);
+  }
+  text('Date', M, y, { size: 10, color: MUTED });
+  y = text(date, M + 110, y) + 16;
+  image(p.day, y, H - M - y);
+
+  // mockups
+  doc.addPage();
+  y = heading('Day & Night Mockups');
+  const half = (H - y - M - 40) / 2;
+  y = text('Day', M, y, { size: 10, color: MUTED });
+  y = image(p.day, y, half) + 20;
+  y = text('Night', M, y, { size: 10, color: MUTED });
+  image(p.night, y, half);
+
+  // elevation
+  doc.addPage();
+  y = heading('Elevation');
+  if (p.elevation) {
+    y = image(p.elevation, y, H - y - M - 120, 'PNG') + 18;
+  } else {
+    y = text('Elevation unavailable until the letters are measured.', M, y);
+  }
+  for (const note of p.sizeNotes) y = text(note, M, ensure(y, 16));
+
+  // specifications, quote, approval
+  doc.addPage();
+  y = heading('Specifications');
+  for (const { label, value } of p.specs) {
+    y = ensure(y, 16);
+    text(label, M, y, { size: 10, color: MUTED });
+    y = text(value, M + 130, y);
+  }
+  y += 10;
+  for (const { label, color } of p.callouts) {
+    y = ensure(y, 18);
+    doc.setFillColor(color);
+    doc.setDrawColor(MUTED);
+    doc.rect(M, y - 11, 28, 14, 'FD');
+    y = text(`${label}  ${color.toUpperCase()}`, M + 40, y);
+    y += 4;
+  }
+
+  y = ensure(y + 16, 80);
+  y = text('Quote Summary', M, y, { size: 14, bold: true }) + 4;
+  if (!p.quote) {
+    y = text('Pricing follows once the sign is measured on site.', M, y, {
+      color: MUTED,
+    });
+  } else {
+    const rows = [
+      ...p.quote.items.map((it) => [it.label, formatMoney(it.amount)]),
+      ...(p.quote.tax > 0 ? [['Tax', formatMoney(p.quote.tax)]] : []),
+    ];
+    for (const [label, amount] of rows) {
+      y = ensure(y, 16);
+      doc.setFont('helvetica', 'normal');
+      doc.setFontSize(10);
+      doc.setTextColor(INK);
+      const lines = doc.splitTextToSize(pdfText(label), W - 2 * M - 100);
+      doc.text(lines, M, y);
+      doc.text(amount, W - M, y, { align: 'right' });
+      y += lines.length * 13 + 3;
+    }
+    doc.setDrawColor(MUTED);
+    doc.line(M, y - 8, W - M, y - 8);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text('Estimated total', M, y + 6);
+    doc.text(formatMoney(p.quote.total), W - M, y + 6, { align: 'right' });
+    y += 26;
+  }
+
+  y = ensure(y + 16, 170);
+  y = text('Approval', M, y, { size: 14, bold: true }) + 2;
+  y = text(
+    'I approve the design, dimensions, colours and pricing shown in this proposal.',
+    M,
+    y,
+    { size: 10, color: MUTED }
+  );
+  y += 36;
+  doc.setDrawColor(INK);
+  for (const label of ['Name', 'Signature', 'Date']) {
+    doc.line(M, y, M + 300, y);
+    text(label, M, y + 12, { size: 9, color: MUTED });
+    y += 44;
+  }
+
+  const pages = doc.getNumberOfPages();
+  for (let i = 1; i <= pages; i++) {
+    doc.setPage(i);
+    text(`${p.title} · ${date} · ${i} / ${pages}`, M, H - 28, {
+      size: 8,
+      color: MUTED,
+    });
+  }
+  return doc.output('blob');
+}
@@ -0,0 +1,204 @@
+/* ───────────────────────── Photo retouch (old signage removal) ───────────────────────── */
+
+// Edits a working copy of the building photo so the old cabinet or letters
+// can go before the new sign is placed; the uploaded original is kept.
+// Regions come in photo uv like the occlusion masks. Inpainting runs in a
+// worker on a reduced crop around the region and hands back copy offsets,
+// which are replayed here at full resolution; the clone stamp is the same
+// copy with one fixed offset. The working copy is kept as PNG so repeated
+// edits don't stack compression; a JPEG photo's copy is re-encoded as JPEG
+// only when the project is saved.
+
+import { boxBlur } from './nightGrade';
+import { boxMask, rasterizeMasks } from './occlusion';
+import { loadImage } from './photoUtils';
+
+export const RETOUCH_TOOLS = [
+  { key: 'rect', label: 'Rectangle' },
+  { key: 'brush', label: 'Brush' },
+  { key: 'clone', label: 'Clone' },
+];
+
+const WORK_MAX_SIDE = 400; // longest side of the crop the worker fills
+const FEATHER = 2; // work px of soft edge around the region
+
+// bounding box of the non-transparent pixels, or null
+function alphaBounds(canvas) {
+  const { width: w, height: h } = canvas;
+  const { data } = canvas.getContext('2d').getImageData(0, 0, w, h);
+  let x0 = w;
+  let y0 = h;
+  let x1 = -1;
+  let y1 = -1;
+  for (let y = 0; y < h; y++)
+    for (let x = 0; x < w; x++)
+      if (data[(y * w + x) * 4 + 3]) {
+        x0 = Math.min(x0, x);
+        y0 = Math.min(y0, y);
+        x1 = Math.max(x1, x);
+        y1 = Math.max(y1, y);
+      }
+  return x1 < 0 ? null : { x0, y0, x1: x1 + 1, y1: y1 + 1 };
+}
+
+const encode = (canvas, type, quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error('Could not encode the photo')),
+      type,
+      quality
+    )
+  );
+
+const dilate = (m, w, h, r) => {
+  const b = boxBlur(m, w, h, r);
+  return b.map((v) => (v > 1e-6 ? 1 : 0));
+};
+
+/**
+ * Apply one retouch to the photo at `url` and return the result.
+ * @param {string} url  current photo (the working copy, if any)
+ * @param {object} edit  { type: 'rect', box } (photo uv box),
+ *   { type: 'brush', points, radius } or
+ *   { type: 'clone', points, radius, source } (source: uv the first point
+ *   copies from); radius is a fraction of the photo width
+ * @param {object} o
+ * @param {(image: ImageData, mask: Uint8Array) => Promise<Int16Array>} o.inpaint
+ *   runs the inpainting worker
+ * @returns {Promise<Blob|null>}  PNG, null if the region is empty
+ */
+export async function retouchPhoto(url, edit, { inpaint }) {
+  const img = await loadImage(url);
+  const W = img.naturalWidth;
+  const H = img.naturalHeight;
+  const canvas = document.createElement('canvas');
+  canvas.width = W;
+  canvas.height = H;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0);
+
+  const region =
+    edit.type === 'rect'
+      ? boxMask(edit.box)
+      : { type: 'stroke', points: edit.points, radius: edit.radius };
+  const maskCanvas = rasterizeMasks([region], { width: W, height: H });
+  const mb = alphaBounds(maskCanvas);
+  if (!mb) return null;
+  const kx = W / maskCanvas.width;
+  const ky = H / maskCanvas.height;
+  const shift =
+    edit.type === 'clone'
+      ? {
+          x: Math.round((edit.source.u - edit.points[0].u) * W),
+          y: Math.round((edit.source.v - edit.points[0].v) * H),
+        }
+      : null;
+
+  // crop: the region plus, for inpainting, as much context again around it
+  const bw = (mb.x1 - mb.x0) * kx;
+  const bh = (mb.y1 - mb.y0) * ky;
+  const pad = shift ? 8 : Math.max(16, bw, bh);
+  const cx0 = Math.max(0, Math.floor(mb.x0 * kx - pad));
+  const cy0 = Math.max(0, Math.floor(mb.y0 * ky - pad));
+  const cw = Math.min(W, Math.ceil(mb.x1 * kx + pad)) - cx0;
+  const ch = Math.min(H, Math.ceil(mb.y1 * ky + pad)) - cy0;
+  const k = Math.min(1, WORK_MAX_SIDE / Math.max(cw, ch));
+  const ww = Math.max(1, Math.round(cw * k));
+  const wh = Math.max(1, Math.round(ch * k));
+
+  // region at working size: grown a pixel to take the old sign's edge too,
+  // then by the feather, which is where pixels get replaced at all
+  const work = document.createElement('canvas');
+  work.width = ww;
+  work.height = wh;
+  const wctx = work.getContext('2d', { willReadFrequently: true });
+  wctx.drawImage(
+    maskCanvas,
+    cx0 / kx,
+    cy0 / ky,
+    cw / kx,
+    ch / ky,
+    0,
+    0,
+    ww,
+    wh
+  );
+  const wm = wctx.getImageData(0, 0, ww, wh).data;
+  const hole = new Float32Array(ww * wh);
+  for (let i = 0; i < hole.length; i++) hole[i] = wm[i * 4 + 3] ? 1 : 0;
+  const grown = dilate(hole, ww, wh, 1);
+  const fill = dilate(grown, ww, wh, FEATHER);
+  const alpha = boxBlur(grown, ww, wh, FEATHER).map((v) => Math.min(1, 2 * v));
+
+  let offsets = null;
+  if (!shift) {
+    wctx.clearRect(0, 0, ww, wh);
+    wctx.drawImage(canvas, cx0, cy0, cw, ch, 0, 0, ww, wh);
+    offsets = await inpaint(
+      wctx.getImageData(0, 0, ww, wh),
+      Uint8Array.from(fill)
+    );
+  }
+
+  const dst = ctx.getImageData(cx0, cy0, cw, ch);
+  const src = shift
+    ? ctx.getImageData(cx0 + shift.x, cy0 + shift.y, cw, ch).data
+    : new Uint8ClampedArray(dst.data);
+  const a = (x, y) => alpha[Math.min(wh - 1, y) * ww + Math.min(ww - 1, x)];
+  for (let Y = 0; Y < ch; Y++) {
+    for (let X = 0; X < cw; X++) {
+      // bilinear alpha, nearest offset
+      const fx = Math.max(0, (X + 0.5) * k - 0.5);
+      const fy = Math.max(0, (Y + 0.5) * k - 0.5);
+      const x = Math.floor(fx);
+      const y = Math.floor(fy);
+      const tx = fx - x;
+      const ty = fy - y;
+      const t =
+        (a(x, y) * (1 - tx) + a(x + 1, y) * tx) * (1 - ty) +
+        (a(x, y + 1) * (1 - tx) + a(x + 1, y + 1) * tx) * ty;
+      if (t <= 0) continue;
+      let s = Y * cw + X;
+      if (offsets) {
+        const wi =
+          Math.min(wh - 1, Math.floor(Y * k)) * ww +
+          Math.min(ww - 1, Math.floor(X * k));
+        const sx = Math.round(X + offsets[wi * 2] / k);
+        const sy = Math.round(Y + offsets[wi * 2 + 1] / k);
+        s =
+          Math.min(ch - 1, Math.max(0, sy)) * cw +
+          Math.min(cw - 1, Math.max(0, sx));
+      } else if (!src[s * 4 + 3]) {
+        continue; // clone source outside the photo
+      }
+      const d = (Y * cw + X) * 4;
+      for (let c = 0; c < 3; c++)
+        dst.data[d + c] += (src[s * 4 + c] - dst.data[d + c]) * t;
+    }
+  }
+  ctx.putImageData(dst, cx0, cy0);
+  return encode(canvas, 'image/png');
+}
+
+/**
+ * The working copy as a saved project carries it: JPEG again if the
+ * uploaded photo was a JPEG, otherwise unchanged.
+ * @param {File|null} file  the working copy
+ * @param {string} [photoType]  mime type of the uploaded photo
+ * @returns {Promise<File|null>}
+ */
+export async function retouchForSave(file, photoType) {
+  if (!file || photoType !== 'image/jpeg' || file.type === 'image/jpeg')
+    return file;
+  const bitmap = await createImageBitmap(file);
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  canvas.getContext('2d').drawImage(bitmap, 0, 0);
+  bitmap.close();
+  const blob = await encode(canvas, 'image/jpeg', 0.95);
+  return new File([blob], file.name.replace(/\.png$/i, '.jpg'), {
+    type: 'image/jpeg',
+  });
+}
@@ -0,0 +1,126 @@
+/* ───────────────────────── Sun position ───────────────────────── */
+
+// Where the sun is for a site, date and clock time (the low-precision solar
+// ephemeris, good to a fraction of a degree), and what that means for a
+// facade: the light direction relative to the wall and how far into
+// twilight the scene is.
+
+const RAD = Math.PI / 180;
+const J2000 = Date.UTC(2000, 0, 1, 12); // epoch of the orbital elements
+const OBLIQUITY = 23.4397 * RAD;
+
+// civil twilight: full day above, full night below
+export const TWILIGHT_DEG = { day: 6, night: -6 };
+
+/**
+ * Sun in the sky at `date` (an instant) seen from `lat`, `lon` (degrees,
+ * east positive).
+ * @returns {{ azimuth: number, altitude: number }}  degrees; azimuth is the
+ *   compass bearing (0 = north, 90 = east)
+ */
+export function sunPosition(date, lat, lon) {
+  const d = (date.getTime() - J2000) / 86400000;
+  const M = RAD * (357.5291 + 0.98560028 * d); // mean anomaly
+  const C =
+    RAD *
+    (1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+  const L = M + C + RAD * 102.9372 + Math.PI; // ecliptic longitude
+  const dec = Math.asin(Math.sin(OBLIQUITY) * Math.sin(L));
+  const ra = Math.atan2(Math.sin(L) * Math.cos(OBLIQUITY), Math.cos(L));
+  const sidereal = RAD * (280.16 + 360.9856235 * d) + RAD * lon;
+  const H = sidereal - ra; // hour angle
+  const phi = RAD * lat;
+  const altitude = Math.asin(
+    Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H)
+  );
+  // measured from south, positive westwards
+  const fromSouth = Math.atan2(
+    Math.sin(H),
+    Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi)
+  );
+  return {
+    azimuth: (((fromSouth / RAD + 180) % 360) + 360) % 360,
+    altitude: altitude / RAD,
+  };
+}
+
+/**
+ * The instant of a local clock time at the site.
+ * @param {string} date  'YYYY-MM-DD'
+ * @param {string} time  'HH:MM'
+ * @param {number} utcOffset  hours the site's clock is ahead of UTC
+ */
+export function siteTime(date, time, utcOffset) {
+  const [y, mo, da] = date.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  return new Date(Date.UTC(y, mo - 1, da, h, mi) - utcOffset * 3600000);
+}
+
+/** The browser's IANA time zone, e.g. 'America/New_York'. */
+export const localTimeZone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+// hours `zone` is ahead of UTC at the instant `at`
+function offsetAt(zone, at) {
+  const name = new Intl.DateTimeFormat('en-US', {
+    timeZone: zone,
+    timeZoneName: 'longOffset',
+  })
+    .formatToParts(at)
+    .find((p) => p.type === 'timeZoneName').value; // 'GMT-04:00' or 'GMT'
+  const m = /([+-])(\d{2}):(\d{2})/.exec(name);
+  return m ? (m[1] === '-' ? -1 : 1) * (Number(m[2]) + Number(m[3]) / 60) : 0;
+}
+
+/**
+ * UTC offset (hours) of the IANA time zone `zone` for a clock time on a
+ * date, daylight saving included.
+ * @param {string} date  'YYYY-MM-DD'
+ * @param {string} time  'HH:MM'
+ */
+export function zoneUtcOffset(zone, date, time = '12:00') {
+  // the offset read at the clock time taken as UTC is off by at most the
+  // offset itself, so one more read lands on the right side of a change
+  const guess = offsetAt(zone, siteTime(date, time, 0));
+  return offsetAt(zone, siteTime(date, time, guess));
+}
+
+/** e.g. UTC, UTC+2, UTC−4, UTC+5:30 */
+export function formatUtcOffset(hours) {
+  if (!hours) return 'UTC';
+  const m = Math.round(Math.abs(hours) * 60);
+  const hm =
+    m % 60
+      ? `${Math.floor(m / 60)}:${String(m % 60).padStart(2, '0')}`
+      : `${m / 60}`;
+  return `UTC${hours < 0 ? '−' : '+'}${hm}`;
+}
+
+const smoothstep = (a, b, x) => {
+  const t = Math.min(1, Math.max(0, (x - a) / (b - a)));
+  return t * t * (3 - 2 * t);
+};
+
+/**
+ * The sun as the mockup uses it, for a facade whose outward normal faces
+ * the compass bearing `facing`:
+ *   azimuth    degrees off the wall's normal, + = from the viewer's right
+ *   altitude   degrees above the horizon
+ *   onFacade   0…1, how much direct sun the wall gets (0 when the sun is
+ *              behind the building or below the horizon)
+ *   timeOfDay  0 = day … 1 = night, through civil twilight
+ *   phase      'day' | 'dawn' | 'dusk' | 'night'
+ */
+export function sunOnFacade({ azimuth, altitude }, facing) {
+  // the viewer faces the wall, so compass bearings to their right are
+  // anticlockwise from the wall's normal
+  const rel = ((((facing - azimuth) % 360) + 540) % 360) - 180;
+  const timeOfDay =
+    1 - smoothstep(TWILIGHT_DEG.night, TWILIGHT_DEG.day, altitude);
+  const onFacade =
+    smoothstep(0, 4, altitude) * smoothstep(0, 12, 90 - Math.abs(rel));
+  let phase = 'day';
+  if (altitude <= TWILIGHT_DEG.night) phase = 'night';
+  else if (altitude < TWILIGHT_DEG.day) phase = azimuth < 180 ? 'dawn' : 'dusk';
+  return { azimuth: rel, altitude, onFacade, timeOfDay, phase };
+}
@@ -0,0 +1,88 @@
+/* ───────────────────────── Day → night sweep export ───────────────────────── */
+
+// The frames are rendered up front (each one is a full re-render of the
+// preview), then encoded: WebM by replaying them in real time into a
+// MediaRecorder, GIF with gifenc.
+
+import { applyPalette, GIFEncoder, quantize } from 'gifenc';
+
+export const SWEEP_DEFAULTS = {
+  seconds: 3, // the 0 → 1 sweep itself
+  holdSeconds: 0.75, // on the first (day) and last (night) frame
+  fps: 20,
+  webmWidth: 1280,
+  gifWidth: 640,
+};
+
+export const SWEEP_FORMATS = {
+  webm: { label: 'WebM', ext: 'webm' },
+  gif: { label: 'GIF', ext: 'gif' },
+};
+
+/** Time-of-day of every frame to render, 0 … 1 inclusive. */
+export function sweepTimes({ seconds, fps } = SWEEP_DEFAULTS) {
+  const n = Math.max(2, Math.round(seconds * fps));
+  return Array.from({ length: n + 1 }, (_, i) => i / n);
+}
+
+export function webmMimeType() {
+  if (typeof MediaRecorder === 'undefined') return null;
+  return (
+    ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find((m) =>
+      MediaRecorder.isTypeSupported(m)
+    ) ?? null
+  );
+}
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Record `frames` (canvases of one size) to a WebM blob, in real time. */
+export async function encodeWebM(frames, opts = SWEEP_DEFAULTS) {
+  const mimeType = webmMimeType();
+  if (!mimeType) throw new Error('This browser cannot record WebM video');
+  const { width, height } = frames[0];
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(frames[0], 0, 0);
+
+  const stream = canvas.captureStream(opts.fps);
+  const rec = new MediaRecorder(stream, {
+    mimeType,
+    videoBitsPerSecond: 8_000_000,
+  });
+  const chunks = [];
+  rec.ondataavailable = (e) => e.data.size && chunks.push(e.data);
+  const stopped = new Promise((resolve) => (rec.onstop = resolve));
+  rec.start();
+  await wait(opts.holdSeconds * 1000);
+  for (const frame of frames) {
+    ctx.drawImage(frame, 0, 0);
+    await wait(1000 / opts.fps);
+  }
+  await wait(opts.holdSeconds * 1000);
+  rec.stop();
+  await stopped;
+  stream.getTracks().forEach((t) => t.stop());
+  return new Blob(chunks, { type: 'video/webm' });
+}
+
+/** Looping GIF of `frames`, each with its own 256-colour palette. */
+export function encodeGIF(frames, opts = SWEEP_DEFAULTS) {
+  const gif = GIFEncoder();
+  const step = Math.round(1000 / opts.fps);
+  const hold = Math.round(opts.holdSeconds * 1000);
+  frames.forEach((frame, i) => {
+    const { width, height } = frame;
+    const { data } = frame.getContext('2d').getImageData(0, 0, width, height);
+    const palette = quantize(data, 256);
+    const last = i === frames.length - 1;
+    gif.writeFrame(applyPalette(data, palette), width, height, {
+      palette,
+      delay: i === 0 || last ? hold : step,
+    });
+  });
+  gif.finish();
+  return new Blob([gif.bytes()], { type: 'image/gif' });
+}
@@ -0,0 +1,39 @@
+/* ───────────────────────── Physical units ───────────────────────── */
+
+// Real-world lengths are kept in inches internally (quotes are priced by
+// letter height in inches); the scene ↔ inch factor comes from the photo
+// calibration.
+
+export const LENGTH_UNITS = {
+  in: { label: 'in', perInch: 1, step: 0.5 },
+  ft: { label: 'ft', perInch: 1 / 12, step: 0.1 },
+  mm: { label: 'mm', perInch: 25.4, step: 5 },
+  m: { label: 'm', perInch: 0.0254, step: 0.01 },
+};
+
+export const toInches = (value, unit) => value / LENGTH_UNITS[unit].perInch;
+export const fromInches = (inches, unit) => inches * LENGTH_UNITS[unit].perInch;
+
+const trim = (n, digits) => String(Number(n.toFixed(digits)));
+
+/** e.g. 18.5″, 4′ 6″, 470 mm, 1.22 m */
+export function formatLength(inches, unit) {
+  if (!Number.isFinite(inches)) return '—';
+  switch (unit) {
+    case 'ft': {
+      const sign = inches < 0 ? '-' : '';
+      const total = Math.round(Math.abs(inches) * 2) / 2; // nearest ½″
+      const ft = Math.floor(total / 12);
+      const rest = total - ft * 12;
+      return ft
+        ? `${sign}${ft}′ ${trim(rest, 1)}″`
+        : `${sign}${trim(rest, 1)}″`;
+    }
+    case 'mm':
+      return `${Math.round(fromInches(inches, 'mm'))} mm`;
+    case 'm':
+      return `${trim(fromInches(inches, 'm'), 3)} m`;
+    default:
+      return `${trim(inches, inches < 10 ? 2 : 1)}″`;
+  }
+}
@@ -0,0 +1,360 @@
+/* ───────────────────────── Vanishing-point worker ───────────────────────── */
+
+// Finds the dominant vertical and horizontal vanishing points of a facade:
+// Sobel gradients → line-support regions grown by gradient orientation
+// (a light LSD) → RANSAC over segment pairs → least-squares refinement.
+//
+// in:  { type: 'detect', image: { width, height, data } }
+// out: { type: 'result', segments, vertical, horizontal }
+//      segments are in 0…1 image coordinates (y down); vanishing points are
+//      homogeneous [x, y, w] in photo units (centre origin, y up, height 1).
+//      { type: 'error', message }
+
+const ANGLE_TOL = Math.PI / 8; // region growing tolerance (22.5°)
+const INLIER_DEG = 1.5;
+const RANSAC_ITERS = 400;
+
+function grayscale({ width, height, data }) {
+  const g = new Float32Array(width * height);
+  for (let i = 0, p = 0; i < g.length; i++, p += 4) {
+    g[i] = 0.299 * data[p] + 0.587 * data[p + 1] + 0.114 * data[p + 2];
+  }
+  return g;
+}
+
+// separable [1 4 6 4 1] blur: suppresses pixel staircase and JPEG noise
+function blur(g, w, h) {
+  const k = [1, 4, 6, 4, 1];
+  const tmp = new Float32Array(w * h);
+  const out = new Float32Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let s = 0;
+      for (let t = -2; t <= 2; t++) {
+        const xx = Math.min(w - 1, Math.max(0, x + t));
+        s += k[t + 2] * g[y * w + xx];
+      }
+      tmp[y * w + x] = s / 16;
+    }
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      let s = 0;
+      for (let t = -2; t <= 2; t++) {
+        const yy = Math.min(h - 1, Math.max(0, y + t));
+        s += k[t + 2] * tmp[yy * w + x];
+      }
+      out[y * w + x] = s / 16;
+    }
+  }
+  return out;
+}
+
+function gradients(g, w, h) {
+  const mag = new Float32Array(w * h);
+  const ang = new Float32Array(w * h);
+  for (let y = 1; y < h - 1; y++) {
+    for (let x = 1; x < w - 1; x++) {
+      const i = y * w + x;
+      const gx =
+        g[i - w + 1] +
+        2 * g[i + 1] +
+        g[i + w + 1] -
+        g[i - w - 1] -
+        2 * g[i - 1] -
+        g[i + w - 1];
+      const gy =
+        g[i + w - 1] +
+        2 * g[i + w] +
+        g[i + w + 1] -
+        g[i - w - 1] -
+        2 * g[i - w] -
+        g[i - w + 1];
+      mag[i] = Math.hypot(gx, gy);
+      ang[i] = Math.atan2(gx, -gy); // level-line direction
+    }
+  }
+  return { mag, ang };
+}
+
+const angDiff = (a, b) => {
+  let d = Math.abs(a - b) % Math.PI;
+  return d > Math.PI / 2 ? Math.PI - d : d;
+};
+
+function detectSegments(img) {
+  const { width: w, height: h } = img;
+  const g = blur(grayscale(img), w, h);
+  const { mag, ang } = gradients(g, w, h);
+
+  // threshold: well above the median edge response
+  const sorted = Float32Array.from(mag).sort();
+  const thresh = Math.max(40, sorted[Math.floor(sorted.length * 0.9)]);
+  const order = [];
+  for (let i = 0; i < mag.length; i++) if (mag[i] > thresh) order.push(i);
+  order.sort((a, b) => mag[b] - mag[a]);
+
+  const used = new Uint8Array(w * h);
+  const minLen = Math.max(12, 0.03 * Math.max(w, h));
+  const segments = [];
+  const stack = [];
+  const region = [];
+
+  for (const seed of order) {
+    if (used[seed]) continue;
+    used[seed] = 1;
+    region.length = 0;
+    stack.length = 0;
+    stack.push(seed);
+    // region angle via doubled-angle mean (orientation is mod π)
+    let sx = Math.cos(2 * ang[seed]);
+    let sy = Math.sin(2 * ang[seed]);
+    let theta = ang[seed];
+    while (stack.length) {
+      const i = stack.pop();
+      region.push(i);
+      const x = i % w;
+      const y = (i / w) | 0;
+      for (let dy = -1; dy <= 1; dy++) {
+        for (let dx = -1; dx <= 1; dx++) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 1 || ny < 1 || nx >= w - 1 || ny >= h - 1) continue;
+          const j = ny * w + nx;
+          if (used[j] || mag[j] <= thresh) continue;
+          if (angDiff(ang[j], theta) > ANGLE_TOL) continue;
+          used[j] = 1;
+          stack.push(j);
+          sx += Math.cos(2 * ang[j]);
+          sy += Math.sin(2 * ang[j]);
+          theta = Math.atan2(sy, sx) / 2;
+        }
+      }
+    }
+    if (region.length < minLen) continue;
+
+    // weighted PCA → principal direction and spread
+    let W = 0;
+    let mx = 0;
+    let my = 0;
+    for (const i of region) {
+      const m = mag[i];
+      W += m;
+      mx += m * (i % w);
+      my += m * ((i / w) | 0);
+    }
+    mx /= W;
+    my /= W;
+    let cxx = 0;
+    let cyy = 0;
+    let cxy = 0;
+    for (const i of region) {
+      const m = mag[i];
+      const dx = (i % w) - mx;
+      const dy = ((i / w) | 0) - my;
+      cxx += m * dx * dx;
+      cyy += m * dy * dy;
+      cxy += m * dx * dy;
+    }
+    cxx /= W;
+    cyy /= W;
+    cxy /= W;
+    const tr = cxx + cyy;
+    const det = cxx * cyy - cxy * cxy;
+    const disc = Math.sqrt(Math.max(0, (tr * tr) / 4 - det));
+    const l1 = tr / 2 + disc;
+    const l2 = tr / 2 - disc;
+    if (l2 > 2.5 || l1 < 1e-6) continue; // blob, not a line
+    const phi = 0.5 * Math.atan2(2 * cxy, cxx - cyy);
+    const ux = Math.cos(phi);
+    const uy = Math.sin(phi);
+    let tmin = Infinity;
+    let tmax = -Infinity;
+    for (const i of region) {
+      const t = ((i % w) - mx) * ux + (((i / w) | 0) - my) * uy;
+      if (t < tmin) tmin = t;
+      if (t > tmax) tmax = t;
+    }
+    const len = tmax - tmin;
+    if (len < minLen) continue;
+    segments.push({
+      x1: mx + ux * tmin,
+      y1: my + uy * tmin,
+      x2: mx + ux * tmax,
+      y2: my + uy * tmax,
+      len,
+    });
+  }
+  return segments;
+}
+
+/* ── geometry in photo units (centre origin, y up, height 1) ── */
+
+function toPhoto(seg, w, h) {
+  const p = (x, y) => [(x - w / 2) / h, (h / 2 - y) / h];
+  const a = p(seg.x1, seg.y1);
+  const b = p(seg.x2, seg.y2);
+  // homogeneous line through a, b, normalised so (l0, l1) is unit length
+  let l = [a[1] - b[1], b[0] - a[0], a[0] * b[1] - a[1] * b[0]];
+  const n = Math.hypot(l[0], l[1]) || 1;
+  l = l.map((v) => v / n);
+  return {
+    a,
+    b,
+    mid: [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2],
+    dir: [(b[0] - a[0]) / (seg.len / h), (b[1] - a[1]) / (seg.len / h)],
+    line: l,
+    len: seg.len / h,
+  };
+}
+
+const cross3 = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+// angle (deg) between a segment and the direction to a (possibly infinite) VP
+function vpError(s, vp) {
+  let dx;
+  let dy;
+  if (Math.abs(vp[2]) < 1e-9) {
+    dx = vp[0];
+    dy = vp[1];
+  } else {
+    dx = vp[0] / vp[2] - s.mid[0];
+    dy = vp[1] / vp[2] - s.mid[1];
+  }
+  const n = Math.hypot(dx, dy);
+  if (n < 1e-12) return 90;
+  const c = Math.abs((dx * s.dir[0] + dy * s.dir[1]) / n);
+  return (Math.acos(Math.min(1, c)) * 180) / Math.PI;
+}
+
+// smallest-eigenvalue eigenvector of a symmetric 3×3 matrix (Jacobi)
+function smallestEigenvector(A) {
+  const a = A.map((r) => r.slice());
+  const v = [
+    [1, 0, 0],
+    [0, 1, 0],
+    [0, 0, 1],
+  ];
+  for (let sweep = 0; sweep < 30; sweep++) {
+    let off = 0;
+    for (let p = 0; p < 3; p++)
+      for (let q = p + 1; q < 3; q++) off += a[p][q] * a[p][q];
+    if (off < 1e-20) break;
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 3; q++) {
+        if (Math.abs(a[p][q]) < 1e-20) continue;
+        const th = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+        const t = Math.sign(th || 1) / (Math.abs(th) + Math.sqrt(th * th + 1));
+        const c = 1 / Math.sqrt(t * t + 1);
+        const s = t * c;
+        for (let k = 0; k < 3; k++) {
+          const akp = a[k][p];
+          const akq = a[k][q];
+          a[k][p] = c * akp - s * akq;
+          a[k][q] = s * akp + c * akq;
+        }
+        for (let k = 0; k < 3; k++) {
+          const apk = a[p][k];
+          const aqk = a[q][k];
+          a[p][k] = c * apk - s * aqk;
+          a[q][k] = s * apk + c * aqk;
+        }
+        for (let k = 0; k < 3; k++) {
+          const vkp = v[k][p];
+          const vkq = v[k][q];
+          v[k][p] = c * vkp - s * vkq;
+          v[k][q] = s * vkp + c * vkq;
+        }
+      }
+    }
+  }
+  let best = 0;
+  for (let i = 1; i < 3; i++) if (a[i][i] < a[best][best]) best = i;
+  return [v[0][best], v[1][best], v[2][best]];
+}
+
+function ransacVP(segs) {
+  if (segs.length < 2) return null;
+  const total = segs.reduce((s, x) => s + x.len, 0);
+  const pick = () => {
+    let r = Math.random() * total;
+    for (const s of segs) if ((r -= s.len) <= 0) return s;
+    return segs[segs.length - 1];
+  };
+  let best = null;
+  let bestScore = 0;
+  for (let it = 0; it < RANSAC_ITERS; it++) {
+    const s1 = pick();
+    const s2 = pick();
+    if (s1 === s2) continue;
+    const vp = cross3(s1.line, s2.line);
+    if (Math.hypot(...vp) < 1e-12) continue;
+    let score = 0;
+    for (const s of segs) if (vpError(s, vp) < INLIER_DEG) score += s.len;
+    if (score > bestScore) {
+      bestScore = score;
+      best = vp;
+    }
+  }
+  if (!best) return null;
+
+  const inliers = [];
+  const M = [
+    [0, 0, 0],
+    [0, 0, 0],
+    [0, 0, 0],
+  ];
+  segs.forEach((s, i) => {
+    if (vpError(s, best) >= INLIER_DEG * 2) return;
+    inliers.push(i);
+    for (let r = 0; r < 3; r++)
+      for (let c = 0; c < 3; c++) M[r][c] += s.len * s.line[r] * s.line[c];
+  });
+  if (inliers.length < 2) return null;
+  return { vp: smallestEigenvector(M), inliers };
+}
+
+function detect(img) {
+  const { width: w, height: h } = img;
+  const raw = detectSegments(img);
+  const segs = raw.map((s) => toPhoto(s, w, h));
+
+  const vIdx = [];
+  const hIdx = [];
+  segs.forEach((s, i) => {
+    const a = (Math.atan2(s.dir[1], s.dir[0]) * 180) / Math.PI;
+    const fromH = Math.min(Math.abs(a), 180 - Math.abs(a));
+    if (fromH > 60) vIdx.push(i);
+    else if (fromH < 35) hIdx.push(i);
+  });
+
+  const solve = (idx) => {
+    const r = ransacVP(idx.map((i) => segs[i]));
+    return r && { vp: r.vp, inliers: r.inliers.map((k) => idx[k]) };
+  };
+
+  return {
+    segments: raw.map((s) => ({
+      x1: s.x1 / w,
+      y1: s.y1 / h,
+      x2: s.x2 / w,
+      y2: s.y2 / h,
+    })),
+    vertical: solve(vIdx),
+    horizontal: solve(hIdx),
+  };
+}
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg?.type !== 'detect') return;
+  try {
+    self.postMessage({ type: 'result', ...detect(msg.image) });
+  } catch (err) {
+    self.postMessage({ type: 'error', message: err?.message || String(err) });
+  }
+};